@@ -0,0 +1,119 @@
+/**
+ * @module api
+ */
+'use strict';
+
+import Win32Dialog from './dialog';
+
+/**
+ * @typedef {Object} WindowDescription
+ * @property {string} id The dialog's id, that the other methods of the API
+ * accept. It doesn't change while the dialog is mounted.
+ * @property {string} title
+ * @property {string} icon
+ * @property {number} zIndex The dialog's position in the stack. The dialog
+ * on the top has the largest z-index.
+ * @property {?string} ownerId The id of the dialog's owner, or null
+ * if it doesn't have one.
+ * @property {boolean} hasFocus
+ * @property {boolean} isMinimized
+ * @property {boolean} isMaximized
+ * @property {boolean} isModal
+ * @public
+ */
+
+/**
+ * Creates the public API of a window manager. It lets applications list
+ * the open dialogs, and control them by their ids.
+ * @param {module:manager/WindowManager} manager
+ * @package
+ */
+const createWindowManagerApi = (manager) => {
+    /**
+     * Returns a description of every open dialog, in the order
+     * the dialogs were opened.
+     * @returns {Array<WindowDescription>}
+     */
+    const getWindows = () => (
+        manager.getWindowList().map(({ window, ...description }) => description)
+    );
+
+    /**
+     * Brings the dialog to the top with focus, and restores it if it's
+     * minimized. Nothing happens if a modal dialog is open, apart from
+     * the modal dialog's titlebar flashing.
+     * @param {string} id
+     */
+    const focus = (id) => {
+        const w = manager.getWindowById(id);
+
+        w && manager.activateWindow(w);
+    };
+
+    /**
+     * Closes the dialog, like its X button does. The dialog's onExit
+     * callback can still prevent it from closing.
+     * @param {string} id
+     */
+    const close = (id) => {
+        const w = manager.getWindowById(id);
+
+        w && w.requestClose();
+    };
+
+    /**
+     * Calls listener with the result of getWindows(), every time the
+     * dialogs change. Opening or closing dialogs, changes in their
+     * stacking order, focus, titles and minimized/maximized state
+     * are all reported.
+     * @param {Function} listener
+     * @returns {Function} A function that unsubscribes the listener.
+     */
+    const subscribe = (listener) => manager.subscribe(() => listener(getWindows()));
+
+    /**
+     * Changes the key combination that switches between the dialogs.
+     * It has the same properties as a keyboard event: key, and the altKey,
+     * ctrlKey, metaKey and shiftKey modifiers.
+     * @param {Object} hotkey
+     */
+    const setSwitchHotkey = (hotkey) => {
+        manager.switchHotkey = hotkey;
+    };
+
+    /**
+     * Changes the key combination that closes the dialog with focus,
+     * besides Alt+F4. Null leaves only Alt+F4.
+     * @param {?Object} hotkey
+     */
+    const setCloseHotkey = (hotkey) => {
+        manager.closeHotkey = hotkey;
+    };
+
+    return Object.freeze({
+        getWindows,
+        focus,
+        close,
+        minimizeAll: () => manager.minimizeAll(),
+        closeAll: () => manager.closeAll(),
+        cascade: () => manager.cascade(),
+        tileHorizontally: () => manager.tileHorizontally(),
+        tileVertically: () => manager.tileVertically(),
+        subscribe,
+        setSwitchHotkey,
+        setCloseHotkey,
+        setZIndexBase: (base) => manager.setZIndexBase(base),
+    });
+};
+
+/**
+ * The public API of the window manager of the page. The dialogs inside a
+ * Win32Desktop are controlled from the desktop's windowManager instead.
+ * @public
+ */
+const windowManager = createWindowManagerApi(Win32Dialog.windowManager);
+
+export {
+    createWindowManagerApi,
+    windowManager,
+};
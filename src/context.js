@@ -0,0 +1,28 @@
+/**
+ * @module context
+ */
+'use strict';
+
+import React from 'react';
+import { resolveTheme } from './themes';
+
+/**
+ * The window manager that the dialogs below a Win32Desktop or
+ * a Win32MdiClient are registered to. It's null outside of them,
+ * where the dialogs use the window manager of the page.
+ * @package
+ */
+const WindowManagerContext = React.createContext(null);
+
+/**
+ * The theme of the closest Win32ThemeProvider, as a Theme object.
+ * It's the classic theme outside of every theme provider.
+ * @see {module:themes/Theme}
+ * @package
+ */
+const ThemeContext = React.createContext(resolveTheme());
+
+export {
+    WindowManagerContext,
+    ThemeContext,
+};
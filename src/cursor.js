@@ -4,7 +4,9 @@
 'use strict';
 
 /**
- * Object that enumerates all possible cursor resize states.
+ * Object that enumerates all possible cursor resize states, the state
+ * of the cursor while a window is moved from the system menu, and the
+ * state of the cursor after a help button is clicked.
  * @package
  */
 const cursorState = {
@@ -16,7 +18,9 @@ const cursorState = {
     topright: 5,
     topleft: 6,
     right: 7,
-    left: 8
+    left: 8,
+    move: 9,
+    help: 10
 };
 
 /**
@@ -34,6 +38,8 @@ const cursorStyle = [
     "nw-resize",
     "e-resize",
     "w-resize",
+    "move",
+    "help",
 ];
 
 /**
@@ -47,14 +53,36 @@ const cursorStyle = [
 
 /**
  * Returns a CursorPos object with the cursor's position
- * relative to the viewport's scroll.
+ * relative to the viewport's scroll, or relative to the
+ * padding box of the container element if there is one.
  * @param {Event} ev
+ * @param {HTMLElement} container
  * @package
  */
-const getCursorPos = (ev) => ({
-    x: ev.clientX + window.scrollX,
-    y: ev.clientY + window.scrollY,
-});
+const getCursorPos = (ev, container) => {
+    if (container) {
+        const rect = container.getBoundingClientRect();
+
+        return {
+            x: ev.clientX - rect.left - container.clientLeft + container.scrollLeft,
+            y: ev.clientY - rect.top - container.clientTop + container.scrollTop,
+        };
+    }
+
+    return {
+        x: ev.clientX + window.scrollX,
+        y: ev.clientY + window.scrollY,
+    };
+};
+
+/**
+ * Returns true if the event comes from a touch or pen pointer. Such
+ * pointers can't hover precisely, so they get wider resize areas,
+ * and a long press on the titlebar opens the system menu.
+ * @param {Event} ev
+ * @package
+ */
+const isTouchPointer = (ev) => ev.pointerType === 'touch' || ev.pointerType === 'pen';
 
 const bodyStyle = document.body.style;
 
@@ -73,5 +101,6 @@ export {
     cursorState,
     cursorStyle,
     getCursorPos,
+    isTouchPointer,
     setGlobalCursorStyle
 };
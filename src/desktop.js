@@ -0,0 +1,102 @@
+/**
+ * @module desktop
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import WindowManager from './manager';
+import { createWindowManagerApi } from './api';
+import { WindowManagerContext } from './context';
+import { hotkeyPropType, updateHotkeys } from './globals';
+
+/**
+ * A React component that renders a container element with its own window
+ * manager. The dialogs inside it are registered to that manager instead of
+ * the manager of the page, so they're stacked independently from any other
+ * dialogs, and they're positioned relative to the container and can't be
+ * moved outside of it.
+ * @public
+ */
+export default class Win32Desktop extends React.Component {
+    static propTypes = {
+        /**
+         * Class names that are added to the container element.
+         */
+        className: PropTypes.string,
+        /**
+         * Inline style of the container element. The container needs
+         * a size, either from here or from its class names.
+         */
+        style: PropTypes.object,
+        /**
+         * The key combination that switches between the dialogs inside
+         * the desktop. It has the same properties as a keyboard event: key,
+         * and the altKey, ctrlKey, metaKey and shiftKey modifiers.
+         */
+        switchHotkey: hotkeyPropType,
+        /**
+         * The key combination that closes the dialog with focus,
+         * or null to only close it with Alt+F4.
+         */
+        closeHotkey: hotkeyPropType,
+        /**
+         * The content of the desktop, usually Win32Dialog elements.
+         */
+        children: PropTypes.node,
+    };
+
+    static defaultProps = {
+        switchHotkey: { key: 'F6', altKey: true },
+        closeHotkey: null,
+    };
+
+    constructor(props) {
+        super(props);
+
+        /**
+         * Points to the container element.
+         * @private
+         */
+        this.containerRef = React.createRef();
+
+        /**
+         * The window manager of the dialogs inside the desktop.
+         * @private
+         */
+        this.manager = new WindowManager(this.containerRef);
+        this.manager.switchHotkey = props.switchHotkey;
+        this.manager.closeHotkey = props.closeHotkey;
+
+        /**
+         * The public API of the desktop's window manager. It works like
+         * the windowManager export, for the dialogs inside the desktop.
+         * @public
+         */
+        this.windowManager = createWindowManagerApi(this.manager);
+    }
+
+    componentDidUpdate(prevProps) {
+        updateHotkeys(this.manager, prevProps, this.props);
+    }
+
+    render() {
+        let desktopClasses = 'react-win32dialog-desktop';
+
+        if (this.props.className) {
+            desktopClasses += ' ' + this.props.className;
+        }
+
+        return (
+            <div
+                ref={this.containerRef}
+                style={this.props.style}
+                className={desktopClasses}
+            >
+                <WindowManagerContext.Provider value={this.manager}>
+                    {this.props.children}
+                </WindowManagerContext.Provider>
+            </div>
+        );
+    }
+}
@@ -5,27 +5,160 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import DialogRect from './rect';
+import DialogRect, {
+    getElementBounds,
+    getViewportBounds,
+} from './rect';
 import WindowManager from './manager';
+import { WindowManagerContext, ThemeContext } from './context';
 import Tooltip from './tooltip';
-import { cursorState }  from './cursor';
+import WindowSwitcher from './switcher';
+import Timer from './timer';
+import {
+    cursorState,
+    getCursorPos,
+} from './cursor';
 import {
     titlebarButtons,
+    titlebarButtonNames,
     TitlebarButton,
 } from './titlebarbutton';
+import {
+    systemCommands,
+    getMnemonic,
+    SystemMenu,
+} from './systemmenu';
 import {
     NO_VALUE,
-    getViewportWidth
+    getViewportWidth,
+    hoverHandlers
 } from './globals';
+import {
+    themePropType,
+    resolveTheme,
+    getThemeProps,
+} from './themes';
 
 
 import defaultTitlebarIcon from './assets/default-titlebar-icon.png';
-import defaultCloseIcon from './assets/default-close-icon.png';
-import defaultMinimizeIcon from './assets/default-minimize-icon.png';
-import defaultMaximizeIcon from './assets/default-maximize-icon.png';
-import defaultRestoreIcon from './assets/default-restore-icon.png';
 
 
+/**
+ * Selector that matches the elements that can get keyboard focus
+ * with the Tab key.
+ * @private
+ */
+const focusableSelector = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[contenteditable="true"]',
+    '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * Number of dialogs that were constructed. It's used to give each
+ * dialog a unique id.
+ * @private
+ */
+let dialogCount = 0;
+
+/**
+ * Returns a new unique dialog id.
+ * @private
+ */
+const generateId = () => `react-win32dialog-${++dialogCount}`;
+
+/**
+ * The titlebar buttons of each dialog variant, for dialogs
+ * without the titlebarButtons prop.
+ * @private
+ */
+const defaultTitlebarButtons = {
+    normal: ['minimize', 'maximize', 'close'],
+    tool: ['close'],
+};
+
+/**
+ * Returns the titlebar buttons of a dialog, from its titlebarButtons
+ * prop or from its variant. Unknown variants get the buttons of
+ * normal dialogs.
+ * @param {Object} props The dialog's props.
+ * @private
+ */
+const getTitlebarButtonsProp = (props) => (
+    props.titlebarButtons ||
+    defaultTitlebarButtons[props.variant] ||
+    defaultTitlebarButtons.normal
+);
+
+/**
+ * Returns the names of the standard titlebar buttons of a dialog
+ * that are enabled, separated by commas.
+ * @param {Object} props The dialog's props.
+ * @private
+ */
+const getEnabledButtonNames = (props) => (
+    getTitlebarButtonsProp(props)
+        .map(button => (typeof button === 'string') ? button : (!button.disabled && button.type))
+        .filter(Boolean)
+        .join()
+);
+
+/**
+ * The props that the dialog's geometry is derived from.
+ * @private
+ */
+const geometryPropNames = ['x', 'y', 'width', 'height', 'minWidth', 'minHeight', 'maxWidth', 'maxHeight'];
+
+/**
+ * Returns the values of the geometry props of a dialog.
+ * @param {Object} props The dialog's props.
+ * @private
+ */
+const getGeometryProps = (props) => {
+    const geometryProps = {};
+
+    geometryPropNames.forEach(name => geometryProps[name] = props[name]);
+    return geometryProps;
+};
+
+/**
+ * Returns true if the given geometry prop ('x', 'y', 'width' or 'height')
+ * controls the dialog's geometry. That's the case if it's defined together
+ * with its callback: onMove for the position, and onResize for the size.
+ * The user can't move or resize the dialog then, unless the parent passes
+ * the geometry from the callback back to the prop.
+ * @param {Object} props The dialog's props.
+ * @param {string} name
+ * @private
+ */
+const isControlled = (props, name) => (
+    props[name] !== undefined &&
+    !!((name === 'x' || name === 'y') ? props.onMove : props.onResize)
+);
+
+/**
+ * Returns a DialogRect with the geometry and the size limits that the props
+ * of a dialog ask for.
+ * @param {Object} props The dialog's props.
+ * @private
+ */
+const createRect = (props) => new DialogRect(props.x,
+                                             props.y,
+                                             props.width,
+                                             props.height,
+                                             props.minWidth,
+                                             props.minHeight,
+                                             props.borderWidth,
+                                             props.maxWidth,
+                                             props.maxHeight,
+                                             props.variant === 'tool');
+
 /**
  * A React component that renders a resizeable/moveable dialog box
  * with a classic Windows aesthetic.
@@ -34,23 +167,25 @@ import defaultRestoreIcon from './assets/default-restore-icon.png';
 export default class Win32Dialog extends React.Component {
     static propTypes = {
         /**
-         * Initial x position of the dialog within the viewport.
-         * Default value is 1.
+         * x position of the dialog within the viewport.
+         * Default value is 1. The dialog moves when this prop changes.
          */
         x: PropTypes.number,
         /**
-         * Initial y position of the dialog within the viewport.
-         * Default value is 1.
+         * y position of the dialog within the viewport.
+         * Default value is 1. The dialog moves when this prop changes.
          */
         y: PropTypes.number,
         /**
-         * Initial width.
+         * Width of the dialog.
          * The default value is the dialog's minimum width.
+         * The dialog is resized when this prop changes.
          */
         width: PropTypes.number,
         /**
-         * Initial height.
+         * Height of the dialog.
          * The default value is the dialog's minimum height.
+         * The dialog is resized when this prop changes.
          */
         height: PropTypes.number,
         /**
@@ -63,6 +198,18 @@ export default class Win32Dialog extends React.Component {
          * @see {module:rect/defaultRect} for the default value.
          */
         minHeight: PropTypes.number,
+        /**
+         * Maximum width that the dialog can have. The dialog can't be
+         * resized past it, and a maximized dialog only grows up to it.
+         * By default the width isn't limited.
+         */
+        maxWidth: PropTypes.number,
+        /**
+         * Maximum height that the dialog can have. The dialog can't be
+         * resized past it, and a maximized dialog only grows up to it.
+         * By default the height isn't limited.
+         */
+        maxHeight: PropTypes.number,
         /**
          * Width of the dialog's outer border.
          * @see {module:rect/defaultRect} for the default value.
@@ -79,21 +226,207 @@ export default class Win32Dialog extends React.Component {
          * doesn't close the dialog.
          */
         onExit: PropTypes.func,
+        /**
+         * If it's defined, the dialog's visibility is controlled
+         * by this prop: the dialog is rendered only while it's true.
+         * Reopening a dialog restores its last position and size.
+         */
+        open: PropTypes.bool,
+        /**
+         * Initial visibility of the dialog, for dialogs that don't
+         * use the open prop. Default value is true.
+         */
+        defaultOpen: PropTypes.bool,
+        /**
+         * Is called when the user asks for the dialog to be closed (for
+         * example by pressing the X button). If the open prop is defined,
+         * the parent component should set it to false to close the dialog.
+         */
+        onRequestClose: PropTypes.func,
+        /** Is called after the dialog has closed. */
+        onClose: PropTypes.func,
+        /**
+         * If true, the dialog is modal: while it's open, the rest of the page
+         * and all the other dialogs don't accept any mouse input.
+         * Clicking outside of a modal dialog flashes its titlebar.
+         * Changes only take effect when the dialog opens.
+         */
+        modal: PropTypes.bool,
+        /**
+         * The dialog that owns this dialog. Either a ref to a Win32Dialog
+         * (created with React.createRef) or the Win32Dialog object itself.
+         * Owned dialogs are always stacked above their owner, are hidden
+         * while their owner is minimized, and close when their owner closes.
+         */
+        owner: PropTypes.object,
+        /**
+         * Identifies the dialog in the public window manager API. Dialogs
+         * that are open at the same time need different ids. If it's not
+         * defined, a unique id is generated. It's only read when the
+         * dialog is mounted.
+         */
+        id: PropTypes.string,
+        /**
+         * Extra items for the dialog's system menu (the menu that opens
+         * by right-clicking the titlebar). They're added right above the
+         * Close item. Each item is an object of the form
+         * { label, onClick, disabled }, or { separator: true } for a
+         * horizontal line. The character after an ampersand (&) in the
+         * label is the item's keyboard mnemonic.
+         */
+        systemMenuItems: PropTypes.arrayOf(PropTypes.shape({
+            label: PropTypes.string,
+            onClick: PropTypes.func,
+            disabled: PropTypes.bool,
+            separator: PropTypes.bool,
+        })),
         /** Is called when the dialog loses focus. */
         onBlur: PropTypes.func,
         /** Is called when the dialog gains focus. */
         onFocus: PropTypes.func,
+        /**
+         * Is called when the user moves the dialog, with an object
+         * of the form { x, y, width, height } that holds the dialog's
+         * new geometry.
+         * Together with the x and y props, it controls the dialog's position
+         * from the outside: the dialog stays at the x and y props, until the
+         * parent passes the new position to them.
+         */
+        onMove: PropTypes.func,
+        /**
+         * Is called when the user resizes the dialog, with an object
+         * of the form { x, y, width, height } that holds the dialog's
+         * new geometry.
+         * Together with the width and height props, it controls the dialog's
+         * size from the outside: the dialog keeps the size of the width and
+         * height props, until the parent passes the new size to them.
+         */
+        onResize: PropTypes.func,
+        /**
+         * The area that the dialog is kept inside of, while it's moved or
+         * resized, and that it fills when it's maximized. It's either
+         * 'viewport', 'parent' for the element that the dialog is rendered in,
+         * or a ref to an element.
+         * By default, dialogs are only kept from leaving the viewport on the
+         * top and left sides, and dialogs inside a Win32Desktop are kept
+         * inside the desktop.
+         */
+        boundary: PropTypes.oneOfType([
+            PropTypes.oneOf(['viewport', 'parent']),
+            PropTypes.object,
+        ]),
+        /**
+         * Picks the dialog's position automatically, when it opens for the
+         * first time. 'cascade' places it a bit below and to the right of
+         * the last opened dialog, 'center' centers it in its boundary
+         * (or the viewport), 'center-owner' centers it on its owner, and
+         * 'cursor' places it where the user last clicked while a dialog
+         * was open. It's ignored if the x or y prop is defined.
+         * Dialogs that aren't cascaded don't overlap other dialogs if
+         * there's room, dialogs are never placed right on top of other
+         * dialogs, and they're kept inside their boundary or the viewport.
+         */
+        placement: PropTypes.oneOf(['cascade', 'center', 'center-owner', 'cursor']),
+        /**
+         * If it's defined, the dialog's edges snap to the edges of its
+         * boundary (or the viewport) and of the other dialogs, once they
+         * get closer than this many pixels while the dialog is moved
+         * or resized.
+         */
+        snapThreshold: PropTypes.number,
+        /**
+         * If true, dragging the dialog's titlebar to the left or right edge
+         * of its boundary (or the viewport) and releasing it there makes
+         * the dialog fill that half. The corners give quarters, and the top
+         * edge maximizes the dialog. A preview shows the area while the
+         * cursor is at an edge. Dragging a docked dialog away restores its
+         * previous size.
+         */
+        dockToEdges: PropTypes.bool,
+        /**
+         * The look of the dialog. It's either the name of a built-in theme
+         * ('classic', 'luna' or 'win7basic') or a theme object. By default,
+         * the dialog uses the theme of the closest Win32ThemeProvider,
+         * or the classic theme.
+         */
+        theme: themePropType,
+        /**
+         * The buttons of the titlebar, from left to right. The default is
+         * ['minimize', 'maximize', 'close'], or ['close'] for tool windows,
+         * and 'help' is the context help button. Each button is either
+         * the name of a standard button, or an object. Objects with a type
+         * property are standard buttons that can be disabled, like
+         * { type: 'close', disabled: true }. Objects without one are custom
+         * buttons of the form { icon, tooltip, onClick, disabled }.
+         * Disabled buttons are greyed and ignore clicks. The system menu
+         * items of missing or disabled standard buttons are disabled too.
+         */
+        titlebarButtons: PropTypes.arrayOf(PropTypes.oneOfType([
+            PropTypes.oneOf(titlebarButtonNames),
+            PropTypes.shape({
+                type: PropTypes.oneOf(titlebarButtonNames),
+                icon: PropTypes.string,
+                tooltip: PropTypes.string,
+                onClick: PropTypes.func,
+                disabled: PropTypes.bool,
+            }),
+        ])),
+        /**
+         * Is called with the element that the user clicked, after they
+         * clicked the dialog's help button. While the dialog waits for
+         * that click, the cursor has a question mark. Clicks outside of
+         * the dialog's contents, or the Escape key, cancel it.
+         */
+        onHelp: PropTypes.func,
+        /**
+         * If false, the user can't resize the dialog. Its edges don't have
+         * resize cursors, it has a fixed frame, and it can't be maximized
+         * or docked. The width and height props can still resize it.
+         */
+        resizable: PropTypes.bool,
+        /**
+         * If false, the user can't move the dialog, neither by its titlebar
+         * nor from its system menu. The x and y props can still move it.
+         */
+        movable: PropTypes.bool,
+        /**
+         * 'tool' makes the dialog a tool window, for palettes and inspectors.
+         * Tool windows have a shorter titlebar with a smaller font and
+         * no icon, only a small close button by default, and they're left
+         * out of window switching. Their default minimum height fits the
+         * shorter titlebar.
+         */
+        variant: PropTypes.oneOf(['normal', 'tool']),
     };
 
     static defaultProps = {
         title: 'React Win32 dialog box',
         icon: defaultTitlebarIcon,
+        defaultOpen: true,
+        resizable: true,
+        movable: true,
+        variant: 'normal',
     };
 
-    static tooltipMessages = ['Minimize', 'Maximize', 'Close', 'Restore Down'];
+    static tooltipMessages = ['Minimize', 'Maximize', 'Close', 'Help', 'Restore Down'];
+
+    /**
+     * How many times the titlebar of a modal dialog changes color when
+     * it flashes, and the interval between each change in milliseconds.
+     */
+    static titlebarFlashes = 8;
+    static titlebarFlashInterval = 70;
+
+    /**
+     * How close the cursor has to be to an edge, for the dialog to be
+     * docked to it, and how close to a corner for the dialog to be
+     * docked to that quarter, in pixels.
+     */
+    static dockEdgeSize = 4;
+    static dockCornerSize = 32;
 
-    //Initialize the window manager. Only one instance
-    //of the window manager should be running at any given point.
+    //The window manager of the page. Dialogs inside a Win32Desktop
+    //are registered to the desktop's window manager instead.
     static windowManager = new WindowManager();
 
 
@@ -106,13 +439,7 @@ export default class Win32Dialog extends React.Component {
          * they are updated on the Win32Dialog object's state.
          * @private
          */
-        this.rc = new DialogRect(this.props.x,
-                                 this.props.y,
-                                 this.props.width,
-                                 this.props.height,
-                                 this.props.minWidth,
-                                 this.props.minHeight,
-                                 this.props.borderWidth);
+        this.rc = createRect(this.props);
 
         /**
          * React component state.
@@ -135,20 +462,62 @@ export default class Win32Dialog extends React.Component {
              */
             noBorder: false,
 
+            /**
+             * Is true while the dialog is minimized to its minimum size,
+             * and not into the taskbar.
+             */
+            minimized: false,
+
+            /**
+             * The geometry props that the geometry was last derived from.
+             * @see {Win32Dialog.getDerivedStateFromProps}
+             */
+            geometryProps: getGeometryProps(this.props),
+
+            /**
+             * True if the dialog is modal.
+             * @see {Win32Dialog._deriveModality}
+             */
+            modal: !!this.props.modal,
+
+            /**
+             * True if the dialog was open the last time that the state
+             * was derived from the props.
+             */
+            wasOpen: Win32Dialog._isOpen(this.props, { open: this.props.defaultOpen }),
+
             /**
              * Is true only when the dialog has mouse focus.
              */
             hasFocus: false,
 
             /**
-             * Is true only when the user pressed the X button.
-             * If true then this component will always render null.
+             * Is true while the titlebar of a flashing dialog is drawn
+             * with the opposite focus style.
+             */
+            flashToggled: false,
+
+            /**
+             * Is true while the dialog's owner is minimized.
+             * If true then the dialog isn't displayed.
+             */
+            hiddenByOwner: false,
+
+            /**
+             * True while the dialog is minimized into the taskbar.
+             * The dialog isn't displayed in that case.
              */
-            hasClosed: false,
+            hiddenInTaskbar: false,
+
+            /**
+             * Visibility of the dialog when the open prop isn't defined.
+             * If false then this component renders null.
+             */
+            open: this.props.defaultOpen,
 
             /**
              * If any of the titlebar buttons is pushed, this property
-             * takes values from the titlebarButtons object.
+             * is its index in the list of getTitlebarButtons.
              * The default value is NO_VALUE which means that no buttons are pushed.
              */
             activeTitlebarButton: NO_VALUE,
@@ -176,10 +545,58 @@ export default class Win32Dialog extends React.Component {
             },
 
             /**
-             * The maximize icon changes if the window is maximized
-             * so we keep it in the object's state.
+             * This object is passed as props to the window switcher overlay,
+             * which is rendered by this dialog while the user switches
+             * between the windows with the keyboard.
+             */
+            switcher: {
+                /**
+                 * The captions of the windows that are listed. The overlay
+                 * isn't displayed if this is null.
+                 */
+                items: null,
+                /**
+                 * Index of the selected window.
+                 */
+                selected: NO_VALUE,
+                /**
+                 * The overlay's z-index, above every window.
+                 */
+                zIndex: 0
+            },
+
+            /**
+             * This object is passed as props to the system menu component.
+             */
+            systemMenu: {
+                /**
+                 * The menu's upper left corner. The menu isn't
+                 * displayed if this is null.
+                 */
+                position: null,
+                /**
+                 * The menu's z-index.
+                 */
+                zIndex: 0,
+                /**
+                 * Index of the selected menu item, or NO_VALUE if
+                 * no item is selected.
+                 */
+                selected: NO_VALUE
+            },
+
+            /**
+             * The geometry that the dialog gets if it's dropped where
+             * it's dragged to, or null if it isn't docked there.
+             * The preview of that area is displayed while it's not null.
+             */
+            dockPreview: null,
+
+            /**
+             * True while the dialog's help button waits for the user to
+             * click on an element.
              */
-            maximizeIcon: defaultMaximizeIcon
+            helpMode: false
         };
 
         /**
@@ -189,13 +606,60 @@ export default class Win32Dialog extends React.Component {
          */
         this.cursorOnTitlebar =
         this.cursorOnTitlebarButtons =
+        this.cursorOnTitlebarIcon =
+        this.cursorOnSystemMenu =
         this.cursorOnWindow =
         this.isMinimized =
         this.isMaximized = false;
 
+        /**
+         * True if the dialog is minimized into the taskbar, instead of
+         * shrinking to its minimum size. Dialogs are minimized that way
+         * while a Win32Taskbar is mounted.
+         * @package
+         */
+        this.isMinimizedToTaskbar = false;
+
+        /**
+         * The edge or corner that the dialog is docked to if it's dropped,
+         * as a value from the cursorState object. It's cursorState.regular
+         * if the dialog isn't dragged to an edge.
+         * @private
+         */
+        this.dockZone = cursorState.regular;
+
+        /**
+         * True while the dialog fills half or a quarter of its work area,
+         * after it was dropped on an edge. Its previous size is stored
+         * in rcUndocked. A docked dialog stays docked while it's maximized
+         * or minimized.
+         * @package
+         */
+        this.isDocked = false;
+
+        /**
+         * True once the dialog has opened for the first time. Only then
+         * is it moved to the position that the placement prop asks for.
+         * @private
+         */
+        this.isPlaced = false;
+
+        /**
+         * Number of titlebar color changes left, while the titlebar is flashing.
+         * @private
+         */
+        this.flashesLeft = 0;
+
+        /**
+         * Changes the titlebar's color each time it's finished, while
+         * the titlebar is flashing.
+         * @private
+         */
+        this.flashTimer = new Timer(Win32Dialog.titlebarFlashInterval, this._flashTitlebarStep);
+
         /**
          * If the mouse is hovering over any of the titlebar buttons, this property
-         * takes values from the titlebarButtons object.
+         * is its index in the list of getTitlebarButtons.
          * The default value is NO_VALUE which means that the mouse isn't on top of any buttons.
          * @package
          */
@@ -203,7 +667,7 @@ export default class Win32Dialog extends React.Component {
 
         /**
          * If the tooltip is visible over any of the titlebar buttons, this property
-         * takes values from the titlebarButtons object.
+         * is its index in the list of getTitlebarButtons.
          * The default value is NO_VALUE which means that the tooltip isn't visible on
          * any of the titlebar buttons.
          * @package
@@ -233,93 +697,757 @@ export default class Win32Dialog extends React.Component {
             left: 0,
         };
 
+        /**
+         * The dimensions that the dialog had before it was docked. It gets
+         * them back when it's dragged away from the edge. They're kept apart
+         * from rcCache, so that the dialog can be maximized and restored
+         * while it's docked.
+         * @private
+         */
+        this.rcUndocked = {
+            width: 0,
+            height: 0,
+            top: 0,
+            left: 0,
+        };
+
         /**
          * Points to the span element that surrounds the dialog's title.
          * @private
          */
         this.titleRef = React.createRef();
-    }
 
-    componentDidMount() {
-        //the dialog object gets registered to the window manager
-        //after it's been initialized and mounted
-        Win32Dialog.windowManager.registerWindow(this);
-    }
+        /**
+         * Points to the titlebar's icon. The system menu opens right below it.
+         * @private
+         */
+        this.iconRef = React.createRef();
 
-    componentWillUnmount() {
-        //unregister the dialog from the window manager, if it hasn't
-        //been closed through the X button
-        if (!this.state.hasClosed) {
-            Win32Dialog.windowManager.unregisterWindow(this.state.zIndex);
-        }
-    }
+        /**
+         * Points to the outer border, which is the element with the dialog role.
+         * @private
+         */
+        this.borderRef = React.createRef();
 
-    componentDidUpdate() {
-        /*
-          If the tooltipRef property isn't undefined, it means that
-          the Tooltip was rendered and we have to check if it's
-          drawn outside of the viewport's rightmost side. The behavior
-          that the tooltips on Windows dialog boxes exhibit in this case,
-          is to move the tooltip as much as possible to the left, so
-          that the entire box is visible.
+        /**
+         * Identifies the dialog in the window manager. It doesn't change
+         * while the dialog is mounted, even if it's closed and reopened,
+         * unless it's the id of another open dialog.
+         * @package
+         */
+        this.id = this.props.id || generateId();
 
-          This:
+        /**
+         * The id of the title span, that labels the dialog.
+         * @private
+         */
+        this.titleId = `${this.id}-title`;
 
-                        |\      |
-                        | \     |
-                        |  \    |
-                        |   \   |
-                        |_  _\  |
-                         _\_\___|
-                        |       |
-                        |   T o |
-                        |_______|
+        /**
+         * The element that had keyboard focus before the dialog opened.
+         * It gets focus back when the dialog closes.
+         * @private
+         */
+        this.returnFocusElement = null;
 
-          Becomes this:
+        /**
+         * The last element inside the dialog that had keyboard focus.
+         * It gets focus again when the dialog is brought to the top.
+         * @private
+         */
+        this.lastFocusedElement = null;
 
-                        |\      |
-                        | \     |
-                        |  \    |
-                        |   \   |
-                        |_  _\  |
-             _____________\_\___|
-            |                   |
-            |   T o o l t i p   |
-            |___________________|
-        */
-        if (this.tooltipRef) {
-            this._deselectTooltipText();
+        /**
+         * True while a dialog that was mounted open gets registered. Such
+         * dialogs usually open with the page, and not because of something
+         * that the user did, so they don't take the keyboard focus from
+         * the page, unless they're modal.
+         * @private
+         */
+        this.opensWithoutKeyboardFocus = false;
 
-            const tooltipRect = this.tooltipRef.getBoundingClientRect();
-            const viewportWidth = getViewportWidth();
+        /**
+         * The window manager of the closest Win32Desktop or Win32MdiClient,
+         * or null. It's read from the WindowManagerContext while rendering,
+         * because the lifecycle methods need it too.
+         * @private
+         */
+        this.contextWindowManager = null;
 
-            if (tooltipRect.right > viewportWidth) {
-                this.setState((prevState) => {
-                    let diff = tooltipRect.right - viewportWidth,
-                        {x, y} = prevState.tooltipArgs.position;
+        /**
+         * The theme of the closest Win32ThemeProvider. It's read from
+         * the ThemeContext while rendering, like the window manager.
+         * @private
+         */
+        this.contextTheme = resolveTheme();
+    }
 
-                    return {
-                        tooltipArgs: {
-                            ...prevState.tooltipArgs,
-                            position: {
-                                x: x - diff,
-                                y: y
-                            },
-                        }
-                    };
-                });
-            }
-        }
+    /**
+     * True if the dialog is modal. It's read from the modal prop when
+     * the dialog opens, and it doesn't change while it's open.
+     * @package
+     */
+    get isModal() {
+        return this.state.modal;
     }
 
     /**
-     * This method uses the Selection API to programmatically deselect
-     * the text displayed by a tooltip. There are some cases where the tooltip
-     * text can get accidentally selected (for example if the user selects a
-     * bunch of elements in the page that are above the tooltip), and this
-     * isn't good because you can't select the text from Windows dialog tooltip
-     * boxes.
-     * This method should only be called from within componentDidUpdate because
+     * The window manager that the dialog is registered to.
+     * @package
+     */
+    get windowManager() {
+        return this.contextWindowManager || Win32Dialog.windowManager;
+    }
+
+    /**
+     * The theme of the dialog, from its theme prop or from the closest
+     * Win32ThemeProvider.
+     * @returns {module:themes/Theme}
+     * @package
+     */
+    get theme() {
+        if (this.props.theme) {
+            return resolveTheme(this.props.theme);
+        }
+
+        return this.contextTheme;
+    }
+
+    static getDerivedStateFromProps(props, state) {
+        const geometry = Win32Dialog._deriveGeometry(props, state),
+              modality = Win32Dialog._deriveModality(props, state);
+
+        return (geometry || modality) ? { ...geometry, ...modality } : null;
+    }
+
+    /**
+     * Derives the dialog's geometry from the geometry props when they
+     * change. The x, y, width and height props that are defined are applied,
+     * and the size is kept within the size limits. The props that control
+     * the geometry are applied every time, like the value of a controlled
+     * input. Maximized dialogs keep their geometry, and minimized ones keep
+     * their size, until they're restored.
+     * @see isControlled
+     * @param {Object} props
+     * @param {Object} state
+     * @returns {?Object} The state changes, or null.
+     * @private
+     */
+    static _deriveGeometry(props, state) {
+        const prev = state.geometryProps,
+              isChanged = !geometryPropNames.every(name => props[name] === prev[name]),
+              isMoved = props.x !== prev.x || props.y !== prev.y ||
+                        props.width !== prev.width || props.height !== prev.height,
+              applied = name => (isMoved || isControlled(props, name)) ? props[name] : undefined,
+              [x, y, width, height] = ['x', 'y', 'width', 'height'].map(applied);
+
+        if (!isChanged && [x, y, width, height].every(value => value === undefined)) {
+            return null;
+        }
+
+        const limits = createRect(props),
+              derived = (isChanged) ? { geometryProps: getGeometryProps(props) } : {};
+
+        if (state.noBorder) {
+            return (isChanged) ? derived : null;
+        }
+
+        derived.left = (x !== undefined) ? x : state.left;
+        derived.top = (y !== undefined) ? y : state.top;
+
+        if (!state.minimized) {
+            derived.width = limits.clampWidth((width !== undefined) ? width : state.width);
+            derived.height = limits.clampHeight((height !== undefined) ? height : state.height);
+        }
+
+        return derived;
+    }
+
+    /**
+     * Reads the modal prop while the dialog is closed, and when it opens.
+     * The dialog stays modal or modeless while it's open.
+     * @param {Object} props
+     * @param {Object} state
+     * @returns {?Object} The state changes, or null.
+     * @private
+     */
+    static _deriveModality(props, state) {
+        const isOpen = Win32Dialog._isOpen(props, state),
+              modal = !!props.modal;
+
+        if ((isOpen && state.wasOpen) || (modal === state.modal && isOpen === state.wasOpen)) {
+            return null;
+        }
+
+        return { modal, wasOpen: isOpen };
+    }
+
+    componentDidMount() {
+        //the dialog object gets registered to the window manager
+        //after it's been initialized and mounted
+        if (this.isOpen()) {
+            this._place();
+
+            if (this.isModal) {
+                this.returnFocusElement = document.activeElement;
+            } else {
+                this.opensWithoutKeyboardFocus = true;
+            }
+
+            this._register();
+        }
+    }
+
+    componentWillUnmount() {
+        this.flashTimer.cancel();
+
+        //unregister the dialog from the window manager, if it hasn't
+        //been closed already
+        if (this.isOpen()) {
+            this._returnFocus();
+            this._unregister();
+        }
+    }
+
+    /**
+     * Registers the dialog to the window manager. If another dialog is
+     * registered with the same id, it's an error, and the dialog gets
+     * a generated id instead.
+     * @private
+     */
+    _register() {
+        const wm = this.windowManager,
+              other = wm.getWindowById(this.id);
+
+        if (other !== null && other !== this) {
+            console.error(`Win32Dialog error: A dialog with the id '${this.id}' is already open. ` +
+                          'The id props of the dialogs must be unique.');
+            this.id = generateId();
+            this.titleId = `${this.id}-title`;
+            this.forceUpdate();
+        }
+
+        wm.registerWindow(this);
+    }
+
+    /**
+     * Unregisters the dialog from the window manager. Nothing happens if
+     * another dialog with the same id was registered instead of this one.
+     * @private
+     */
+    _unregister() {
+        const wm = this.windowManager;
+
+        if (wm.getWindowById(this.id) === this) {
+            wm.unregisterWindow(this.id);
+        }
+    }
+
+    componentDidUpdate(prevProps, prevState) {
+        const wasOpen = Win32Dialog._isOpen(prevProps, prevState),
+              isOpen = this.isOpen();
+
+        const withoutKeyboardFocus = this.opensWithoutKeyboardFocus;
+
+        //the first update after the mount is the one that registered the dialog
+        this.opensWithoutKeyboardFocus = false;
+
+        this._updateRectFromState(prevState);
+
+        if (wasOpen !== isOpen) {
+            if (isOpen) {
+                this._onOpen();
+            } else {
+                this._onClose();
+            }
+            return;
+        }
+
+        if (this.state.hasFocus && !prevState.hasFocus && !withoutKeyboardFocus) {
+            this.focusContent();
+        }
+
+        //the taskbars and the MDI menu bar display these
+        if (prevProps.title !== this.props.title || prevProps.icon !== this.props.icon ||
+            getEnabledButtonNames(prevProps) !== getEnabledButtonNames(this.props)) {
+            this.windowManager.windowChanged(this);
+        }
+
+        /*
+          If the tooltipRef property isn't undefined, it means that
+          the Tooltip was rendered and we have to check if it's
+          drawn outside of the viewport's rightmost side. The behavior
+          that the tooltips on Windows dialog boxes exhibit in this case,
+          is to move the tooltip as much as possible to the left, so
+          that the entire box is visible.
+
+          This:
+
+                        |\      |
+                        | \     |
+                        |  \    |
+                        |   \   |
+                        |_  _\  |
+                         _\_\___|
+                        |       |
+                        |   T o |
+                        |_______|
+
+          Becomes this:
+
+                        |\      |
+                        | \     |
+                        |  \    |
+                        |   \   |
+                        |_  _\  |
+             _____________\_\___|
+            |                   |
+            |   T o o l t i p   |
+            |___________________|
+        */
+        if (this.tooltipRef) {
+            this._deselectTooltipText();
+
+            const tooltipRect = this.tooltipRef.getBoundingClientRect();
+            const viewportWidth = getViewportWidth();
+
+            if (tooltipRect.right > viewportWidth) {
+                this.setState((prevState) => {
+                    let diff = tooltipRect.right - viewportWidth,
+                        {x, y} = prevState.tooltipArgs.position;
+
+                    return {
+                        tooltipArgs: {
+                            ...prevState.tooltipArgs,
+                            position: {
+                                x: x - diff,
+                                y: y
+                            },
+                        }
+                    };
+                });
+            }
+        }
+    }
+
+    /**
+     * Returns true if the dialog is open, given its props and state.
+     * The open prop has priority over the state, if it's defined.
+     * @param {Object} props
+     * @param {Object} state
+     * @private
+     */
+    static _isOpen(props, state) {
+        return (props.open !== undefined) ? props.open : state.open;
+    }
+
+    /**
+     * Returns true if the dialog is open.
+     * @package
+     */
+    isOpen() {
+        return Win32Dialog._isOpen(this.props, this.state);
+    }
+
+    /**
+     * Is called after the dialog is rendered again, once it's been reopened.
+     * The dialog is registered to the window manager again, and keeps the
+     * position and size it had when it was closed. It takes the keyboard
+     * focus, and gives it back to the element that had it when it closes.
+     * @private
+     */
+    _onOpen() {
+        this._place();
+        this.returnFocusElement = document.activeElement;
+        this._register();
+
+        if (this.isMaximized) {
+            //the viewport might have been resized while the dialog was closed
+            this.maximize();
+        }
+    }
+
+    /**
+     * Moves the dialog to the position that the placement prop asks for,
+     * the first time it opens. Reopened dialogs keep their last position.
+     * @private
+     */
+    _place() {
+        const { placement, x, y } = this.props;
+
+        if (this.isPlaced) {
+            return;
+        }
+
+        this.isPlaced = true;
+
+        if (placement && x === undefined && y === undefined) {
+            this.setGeometry(this.windowManager.getPlacement(this, placement, this._getWorkArea()));
+        }
+    }
+
+    /**
+     * Is called after the dialog stops being rendered, once it's been closed.
+     * @private
+     */
+    _onClose() {
+        //the window that gets focus next, takes the keyboard focus
+        //from the returned element if it needs to
+        this._returnFocus();
+        this._unregister();
+
+        this.flashTimer.cancel();
+        this.flashesLeft = 0;
+
+        //the DOM elements were removed, so the mouseleave events that
+        //reset these flags won't fire
+        this._resetCursorFlags();
+        this.cursorOnSystemMenu = false;
+        this.lastFocusedElement = null;
+
+        //the window manager doesn't end the help mode of closed dialogs
+        if (this.state.helpMode) {
+            this.setState({ helpMode: false });
+        }
+
+        //the dialog is displayed again when it's reopened
+        if (this.isMinimizedToTaskbar) {
+            this.isMinimized = this.isMinimizedToTaskbar = false;
+            this.setState({ hiddenInTaskbar: false });
+        }
+
+        this.props.onClose && this.props.onClose();
+    }
+
+    /**
+     * Gives the keyboard focus back to the element that had it before
+     * the dialog opened, if it's still in the document.
+     * @private
+     */
+    _returnFocus() {
+        const el = this.returnFocusElement;
+
+        this.returnFocusElement = null;
+
+        if (el && el.focus && el !== document.body && document.body.contains(el)) {
+            el.focus();
+        }
+    }
+
+    /**
+     * Returns the elements inside the dialog that can get keyboard focus
+     * with the Tab key.
+     * @private
+     */
+    _getFocusableElements() {
+        const border = this.borderRef.current;
+
+        return (border) ? Array.from(border.querySelectorAll(focusableSelector)) : [];
+    }
+
+    /**
+     * Moves the keyboard focus into the dialog. The element that had it
+     * the last time the dialog had focus gets it again. If there isn't one,
+     * the first element that can get focus gets it, or the dialog itself.
+     * @package
+     */
+    focusContent() {
+        const border = this.borderRef.current;
+
+        if (!border || border.contains(document.activeElement)) {
+            return;
+        }
+
+        const target = (this.lastFocusedElement && border.contains(this.lastFocusedElement)) ?
+                       this.lastFocusedElement :
+                       this._getFocusableElements()[0] || border;
+
+        target.focus();
+    }
+
+    /**
+     * Is called when any element inside the dialog gets keyboard focus.
+     * @private
+     */
+    _onFocus = (ev) => {
+        this.lastFocusedElement = ev.target;
+        this.windowManager.focusWindow(this);
+    }
+
+    /**
+     * Keeps the keyboard focus inside modal dialogs, when the
+     * Tab key is pressed on their first or last element.
+     * @private
+     */
+    _onKeyDown = (ev) => {
+        if (ev.key !== 'Tab' || !this.isModal) {
+            return;
+        }
+
+        const focusable = this._getFocusableElements(),
+              first = focusable[0],
+              last = focusable[focusable.length - 1],
+              active = document.activeElement;
+
+        if (!focusable.length) {
+            ev.preventDefault();
+        } else if (ev.shiftKey && (active === first || active === this.borderRef.current)) {
+            last.focus();
+            ev.preventDefault();
+        } else if (!ev.shiftKey && active === last) {
+            first.focus();
+            ev.preventDefault();
+        }
+    }
+
+    /**
+     * Asks for the dialog to be closed. This is what happens when the
+     * user presses the X button.
+     *
+     * If an onExit callback was given as a prop and it returns falsy,
+     * nothing happens. Otherwise the onRequestClose callback is called,
+     * and if the dialog's visibility isn't controlled through the open prop,
+     * the dialog closes.
+     * @package
+     */
+    requestClose() {
+        if (this.props.onExit && !this.props.onExit()) {
+            return;
+        }
+
+        this.close();
+    }
+
+    /**
+     * Closes the dialog, without calling the onExit callback. Is called by
+     * the window manager when the dialog's owner closes.
+     * The onRequestClose callback is still called, and if the dialog's
+     * visibility is controlled through the open prop, it's up to the parent
+     * component to close it.
+     * @package
+     */
+    close() {
+        this.props.onRequestClose && this.props.onRequestClose();
+
+        if (this.props.open === undefined) {
+            this.setState({
+                open: false
+            });
+        }
+    }
+
+    /**
+     * Returns the Win32Dialog that owns this dialog, or null if it
+     * doesn't have an owner.
+     * @package
+     */
+    getOwner() {
+        const owner = this.props.owner;
+
+        if (!owner) {
+            return null;
+        }
+
+        return (owner instanceof Win32Dialog) ? owner : (owner.current || null);
+    }
+
+    /**
+     * Hides or shows the dialog, when its owner is minimized or restored.
+     * @param {boolean} hidden
+     * @package
+     */
+    setHiddenByOwner(hidden) {
+        if (hidden) {
+            //hidden elements don't fire mouseleave events
+            this._resetCursorFlags();
+        }
+
+        this.setState({
+            hiddenByOwner: hidden
+        });
+    }
+
+    /**
+     * Resets the flags that are set by the mouseenter events, when
+     * the dialog's elements stop being displayed.
+     * @private
+     */
+    _resetCursorFlags() {
+        this.cursorOnTitlebar =
+        this.cursorOnTitlebarButtons =
+        this.cursorOnTitlebarIcon =
+        this.cursorOnWindow = false;
+        this.hoverTitlebarButton = NO_VALUE;
+    }
+
+    /**
+     * Minimizes the dialog into the taskbar, or restores it from there.
+     * The dialog keeps its size, and it's just not displayed while it's
+     * minimized.
+     * @private
+     */
+    _toggleMinimizeToTaskbar() {
+        this.isMinimized = this.isMinimizedToTaskbar = !this.isMinimizedToTaskbar;
+
+        if (this.isMinimized) {
+            this._resetCursorFlags();
+        }
+
+        this.setState({
+            hiddenInTaskbar: this.isMinimized
+        });
+
+        this.windowManager.setOwnedWindowsHidden(this, this.isMinimized);
+        this.windowManager.updateWindowVisibility(this);
+    }
+
+    /**
+     * Updates the DialogRect object after the geometry was derived from
+     * the props. The geometry that maximized and minimized dialogs get
+     * when they're restored is stored in the cache instead.
+     * @param {Object} prevState
+     * @private
+     */
+    _updateRectFromState(prevState) {
+        const { geometryProps, left, top, width, height, noBorder, minimized } = this.state,
+              prev = prevState.geometryProps;
+
+        if (geometryProps === prev) {
+            //the controlled geometry stays, even if the user moved or resized
+            //the dialog and the parent didn't pass the new geometry back
+            if (!noBorder) {
+                this._syncControlledRect();
+            }
+            return;
+        }
+
+        const rc = this.rc,
+              limits = createRect(this.props),
+              isMoved = geometryProps.x !== prev.x || geometryProps.y !== prev.y ||
+                        geometryProps.width !== prev.width || geometryProps.height !== prev.height,
+              cached = (isMoved) ? geometryProps : {};
+
+        rc.minWidth = limits.minWidth;
+        rc.minHeight = limits.minHeight;
+        if (rc.maxWidth !== limits.maxWidth || rc.maxHeight !== limits.maxHeight) {
+            rc.maxWidth = limits.maxWidth;
+            rc.maxHeight = limits.maxHeight;
+
+            //maximized dialogs only grow up to the maximum size
+            if (noBorder) {
+                this.maximize();
+            }
+        }
+
+        if (noBorder) {
+            this.rcCache.left = (cached.x !== undefined) ? cached.x : this.rcCache.left;
+            this.rcCache.top = (cached.y !== undefined) ? cached.y : this.rcCache.top;
+        }
+
+        if (noBorder || minimized) {
+            this.rcCache.width = rc.clampWidth((cached.width !== undefined) ? cached.width : this.rcCache.width);
+            this.rcCache.height = rc.clampHeight((cached.height !== undefined) ? cached.height : this.rcCache.height);
+        }
+
+        if (!noBorder) {
+            rc.update(left, top, width, height);
+        }
+
+        //the props can't move the dialog out of its boundary either
+        this.fitInBoundary();
+    }
+
+    /**
+     * Puts the DialogRect object back to the controlled geometry that
+     * is rendered, if it's somewhere else.
+     * @see isControlled
+     * @private
+     */
+    _syncControlledRect() {
+        const { left, top, width, height, minimized } = this.state,
+              rc = this.rc,
+              x = isControlled(this.props, 'x') ? left : undefined,
+              y = isControlled(this.props, 'y') ? top : undefined,
+              w = isControlled(this.props, 'width') && !minimized ? width : undefined,
+              h = isControlled(this.props, 'height') && !minimized ? height : undefined;
+
+        if ((x !== undefined && x !== rc.left) || (y !== undefined && y !== rc.top) ||
+            (w !== undefined && w !== rc.width) || (h !== undefined && h !== rc.height)) {
+            rc.update(x, y, w, h);
+        }
+    }
+
+    /**
+     * Returns the dialog's current geometry. This is the object
+     * that is passed to the onMove and onResize callbacks.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     * @package
+     */
+    getGeometry() {
+        return {
+            x: this.rc.left,
+            y: this.rc.top,
+            width: this.rc.width,
+            height: this.rc.height
+        };
+    }
+
+    /**
+     * Returns the smallest size that the dialog can be resized to.
+     * @returns {{width: number, height: number}}
+     * @package
+     */
+    getMinimumSize() {
+        return {
+            width: this.rc.minWidth,
+            height: this.rc.minHeight
+        };
+    }
+
+    /**
+     * Moves and resizes the dialog to the given geometry, and calls
+     * the onMove and onResize callbacks if the position or size changed.
+     * The size is kept within the dialog's minimum and maximum size.
+     * @param {{x: number, y: number, width: number, height: number}} geometry
+     * An object like the one that is returned by getGeometry.
+     * @package
+     */
+    setGeometry(geometry) {
+        const prev = this.getGeometry(),
+              { width, height } = geometry;
+
+        this.rc.update(geometry.x, geometry.y,
+                       (width !== undefined) ? this.rc.clampWidth(width) : undefined,
+                       (height !== undefined) ? this.rc.clampHeight(height) : undefined);
+
+        //the controlled geometry is rendered again by setState,
+        //so the new geometry is read first
+        const next = this.getGeometry();
+
+        this.setState({
+            width: next.width,
+            height: next.height,
+            top: next.y,
+            left: next.x,
+        });
+
+        if (prev.x !== next.x || prev.y !== next.y) {
+            this.props.onMove && this.props.onMove(next);
+        }
+
+        if (prev.width !== next.width || prev.height !== next.height) {
+            this.props.onResize && this.props.onResize(next);
+        }
+    }
+
+    /**
+     * This method uses the Selection API to programmatically deselect
+     * the text displayed by a tooltip. There are some cases where the tooltip
+     * text can get accidentally selected (for example if the user selects a
+     * bunch of elements in the page that are above the tooltip), and this
+     * isn't good because you can't select the text from Windows dialog tooltip
+     * boxes.
+     * This method should only be called from within componentDidUpdate because
      * it accesses the state directly.
      * Note that it doesn't work perfectly. In some cases it might deselect text
      * outside of the tooltip.
@@ -355,7 +1483,11 @@ export default class Win32Dialog extends React.Component {
      * @package
      */
     updateWindowSize(cursor_pos, resize_type) {
-        this.rc.resizeToCursor(cursor_pos, resize_type);
+        this.isDocked = false;
+        this.rc.resizeToCursor(cursor_pos, resize_type, this._getBoundary(),
+                               this._getSnapLines(), this.props.snapThreshold);
+
+        const geometry = this.getGeometry();
 
         this.setState({
             width: this.rc.width,
@@ -363,6 +1495,8 @@ export default class Win32Dialog extends React.Component {
             top: this.rc.top,
             left: this.rc.left,
         });
+
+        this.props.onResize && this.props.onResize(geometry);
     }
 
     /**
@@ -371,12 +1505,32 @@ export default class Win32Dialog extends React.Component {
      * @package
      */
     updateWindowPosition(cursor_pos) {
+        const bounds = this._getBoundary(),
+              snapLines = this._getSnapLines();
+
+        //minimized dialogs keep their size while they're moved
+        if (this.isDocked && !this.isMinimized) {
+            this._undock();
+        }
+
         this.rc.moveToCursor(cursor_pos);
 
+        if (snapLines) {
+            this.rc.snapToLines(snapLines, this.props.snapThreshold);
+        }
+
+        if (bounds) {
+            this.rc.moveWithinBounds(bounds);
+        }
+
+        const geometry = this.getGeometry();
+
         this.setState({
             top: this.rc.top,
             left: this.rc.left,
         });
+
+        this.props.onMove && this.props.onMove(geometry);
     }
 
     /**
@@ -425,24 +1579,283 @@ export default class Win32Dialog extends React.Component {
     /**
      * Should be called by the window manager, after
      * the window stops moving (when the user releases the mouse).
+     * The window is also docked, if it was dropped on an edge.
      * @package
      */
     fixOffScreenMove() {
-        this.rc.moveWithinViewport();
+        const { left, top } = this.rc,
+              bounds = this._getBoundary();
+
+        if (bounds) {
+            this.rc.moveWithinBounds(bounds);
+        } else {
+            this.rc.moveWithinViewport();
+        }
+
+        const geometry = this.getGeometry();
+
         this.setState({
             top: this.rc.top,
             left: this.rc.left,
         });
+
+        if (left !== geometry.x || top !== geometry.y) {
+            this.props.onMove && this.props.onMove(geometry);
+        }
+
+        //the dialog was dropped on an edge
+        if (this.dockZone !== cursorState.regular) {
+            this._dock();
+        }
+    }
+
+    /**
+     * Shows the preview of the area that the dialog is docked to, if the
+     * cursor is at an edge of the dialog's work area, and hides it
+     * otherwise. Is called by the window manager while the dialog's
+     * titlebar is dragged. Nothing happens unless the dockToEdges and
+     * resizable props are true.
+     * @param {?module:cursor/CursorPos} cursor_pos If it's null, the
+     * preview is hidden.
+     * @package
+     */
+    updateDockPreview(cursor_pos) {
+        const zone = (cursor_pos && this.props.dockToEdges && this.props.resizable) ?
+            this._getDockZone(cursor_pos) : cursorState.regular;
+
+        if (zone === this.dockZone) {
+            return;
+        }
+
+        this.dockZone = zone;
+        this.setState({
+            dockPreview: (zone === cursorState.regular) ? null : this._getDockGeometry(zone)
+        });
+    }
+
+    /**
+     * Returns the edge or corner of the work area that the cursor is on,
+     * as a value from the cursorState object, or cursorState.regular if
+     * it isn't on one. The bottom edge only has corners.
+     * @param {module:cursor/CursorPos} cursor_pos
+     * @private
+     */
+    _getDockZone(cursor_pos) {
+        const area = this._getWorkArea(),
+              { x, y } = cursor_pos,
+              edge = Win32Dialog.dockEdgeSize,
+              corner = Win32Dialog.dockCornerSize,
+              right = area.left + area.width,
+              bottom = area.top + area.height,
+              onLeft = x <= area.left + edge,
+              onRight = x >= right - edge;
+
+        if (!onLeft && !onRight && y > area.top + edge) {
+            return cursorState.regular;
+        }
+
+        const nearLeft = x <= area.left + corner,
+              nearRight = x >= right - corner,
+              nearTop = y <= area.top + corner,
+              nearBottom = y >= bottom - corner;
+
+        if (nearTop && nearLeft) {
+            return cursorState.topleft;
+        }
+
+        if (nearTop && nearRight) {
+            return cursorState.topright;
+        }
+
+        if (nearBottom && nearLeft) {
+            return cursorState.bottomleft;
+        }
+
+        if (nearBottom && nearRight) {
+            return cursorState.bottomright;
+        }
+
+        if (onLeft) {
+            return cursorState.left;
+        }
+
+        if (onRight) {
+            return cursorState.right;
+        }
+
+        //the top edge maximizes the dialog
+        return (this.hasTitlebarButton(titlebarButtons.maximize)) ? cursorState.top : cursorState.regular;
+    }
+
+    /**
+     * Returns the geometry that the dialog gets, when it's docked to
+     * the given edge or corner. The top edge maximizes the dialog.
+     * @param {number} zone Value from the cursorState object.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     * @private
+     */
+    _getDockGeometry(zone) {
+        if (zone === cursorState.top) {
+            const bounds = this._getBoundary() || this.windowManager.getBounds();
+
+            return {
+                x: bounds.left,
+                y: bounds.top,
+                width: Math.min(bounds.width, this.rc.maxWidth),
+                height: Math.min(bounds.height, this.rc.maxHeight)
+            };
+        }
+
+        const area = this._getWorkArea(),
+              half_width = Math.round(area.width / 2),
+              half_height = Math.round(area.height / 2),
+              onRight = [cursorState.right, cursorState.topright, cursorState.bottomright].includes(zone),
+              onBottom = [cursorState.bottomleft, cursorState.bottomright].includes(zone),
+              isHalf = zone === cursorState.left || zone === cursorState.right;
+
+        return {
+            x: (onRight) ? area.left + half_width : area.left,
+            y: (onBottom) ? area.top + half_height : area.top,
+            width: this.rc.clampWidth((onRight) ? area.width - half_width : half_width),
+            height: this.rc.clampHeight((isHalf) ? area.height :
+                                        ((onBottom) ? area.height - half_height : half_height))
+        };
+    }
+
+    /**
+     * Docks the dialog to the edge or corner that it was dropped on,
+     * and hides the preview.
+     * @private
+     */
+    _dock() {
+        const zone = this.dockZone;
+
+        this.updateDockPreview(null);
+
+        if (zone === cursorState.top) {
+            this.handleTitlebarButtonClick(titlebarButtons.maximize);
+            return;
+        }
+
+        this.rcUndocked.left = this.rc.left;
+        this.rcUndocked.top = this.rc.top;
+        this.rcUndocked.width = this.rc.width;
+        this.rcUndocked.height = this.rc.height;
+
+        this.setGeometry(this._getDockGeometry(zone));
+        this.isDocked = true;
+    }
+
+    /**
+     * Gives a docked dialog back the size it had before it was docked,
+     * once it's dragged away. The cursor stays at the same relative
+     * position on the titlebar.
+     * @private
+     */
+    _undock() {
+        const rc = this.rc;
+
+        this.isDocked = false;
+        rc.cursorOffset.x = Math.round(rc.cursorOffset.x * this.rcUndocked.width / rc.width);
+        rc.update(undefined, undefined, this.rcUndocked.width, this.rcUndocked.height);
+
+        const geometry = this.getGeometry();
+
+        this.setState({
+            width: rc.width,
+            height: rc.height,
+        });
+
+        this.props.onResize && this.props.onResize(geometry);
+    }
+
+    /**
+     * Moves the dialog inside its boundary, if it has one, and shrinks it
+     * if it's larger than the boundary. Nothing happens if the dialog
+     * is already inside it.
+     * @package
+     */
+    fitInBoundary() {
+        const bounds = this._getBoundary();
+
+        if (!bounds) {
+            return;
+        }
+
+        const { x, y, width, height } = this.getGeometry(),
+              new_width = Math.min(width, bounds.width),
+              new_height = Math.min(height, bounds.height),
+              new_x = Math.max(Math.min(x, bounds.left + bounds.width - new_width), bounds.left),
+              new_y = Math.max(Math.min(y, bounds.top + bounds.height - new_height), bounds.top);
+
+        if (new_x !== x || new_y !== y || new_width !== width || new_height !== height) {
+            this.setGeometry({ x: new_x, y: new_y, width: new_width, height: new_height });
+        }
+    }
+
+    /**
+     * Returns the bounds of the area that the dialog is kept inside of,
+     * in the coordinates of its window manager, or null if the dialog
+     * only stays below and to the right of the viewport's upper left corner.
+     * @returns {?module:rect/Bounds}
+     * @private
+     */
+    _getBoundary() {
+        const { boundary } = this.props,
+              wm = this.windowManager,
+              container = wm.getContainer();
+
+        if (boundary === 'viewport') {
+            return getViewportBounds(container);
+        }
+
+        const el = (boundary === 'parent') ?
+            this.borderRef.current && this.borderRef.current.parentNode :
+            boundary && boundary.current;
+
+        if (el) {
+            return getElementBounds(el, container);
+        }
+
+        //anything outside of a desktop's container is hidden
+        return (container) ? wm.getBounds() : null;
+    }
+
+    /**
+     * Returns the lines that the dialog's edges snap to, or null if
+     * the snapThreshold prop isn't defined.
+     * @returns {?module:rect/SnapLines}
+     * @private
+     */
+    _getSnapLines() {
+        if (this.props.snapThreshold === undefined) {
+            return null;
+        }
+
+        return this.windowManager.getSnapLines(this, this._getWorkArea());
+    }
+
+    /**
+     * Returns the area that the dialog is placed in and snaps to. That's
+     * its boundary if it has one, or the area that its window manager
+     * arranges the windows in.
+     * @returns {module:rect/Bounds}
+     * @private
+     */
+    _getWorkArea() {
+        return (this.props.boundary && this._getBoundary()) || this.windowManager.getWorkArea();
     }
 
     /**
      * Checks whether the cursor is on top of the dialog's border or not.
      * @param {module:cursor/CursorPos} cursor_pos
+     * @param {boolean} is_touch True if the cursor is a touch or pen
+     * pointer. Such pointers have larger resize areas.
      * @package
      */
-    getCursorState(cursor_pos) {
-        if (!this.isMaximized && !this.isMinimized) {
-            return this.rc.getCursorResizeState(cursor_pos);
+    getCursorState(cursor_pos, is_touch = false) {
+        if (this.props.resizable && !this.isMaximized && !this.isMinimized) {
+            return this.rc.getCursorResizeState(cursor_pos, is_touch);
         }
 
         return cursorState.regular;
@@ -459,26 +1872,23 @@ export default class Win32Dialog extends React.Component {
         let validTooltip = false;
 
         if (this.cursorOnTitlebarButtons) {
-            let idx = this.hoverTitlebarButton;
+            const button = this.getTitlebarButtons()[this.hoverTitlebarButton];
 
             this.tooltipOnTitlebarButton = this.hoverTitlebarButton;
             this.tooltipOnTitle = false;
 
-            if (this.isMaximized && this.hoverTitlebarButton === titlebarButtons.maximize) {
-                //if the window is maximized, and the mouse is hovering on the maximize button,
-                //then the text on the tooltip should be 'Restore Down'
-                idx = Win32Dialog.tooltipMessages.length - 1;
-            }
-
-            this.setState({
-                tooltipArgs: {
-                    msg: Win32Dialog.tooltipMessages[idx],
-                    position: cursor_pos,
-                    zIndex: zIndex
-                }
-            });
+            //disabled buttons still have tooltips
+            if (button && button.tooltip) {
+                this.setState({
+                    tooltipArgs: {
+                        msg: button.tooltip,
+                        position: cursor_pos,
+                        zIndex: zIndex
+                    }
+                });
 
-            validTooltip = true;
+                validTooltip = true;
+            }
         } else if (this.isTitleOverflowing()) {
             this.tooltipOnTitlebarButton = NO_VALUE;
             this.tooltipOnTitle = true;
@@ -542,25 +1952,146 @@ export default class Win32Dialog extends React.Component {
         return false;
     }
 
+    /**
+     * Returns true if the dialog is a tool window, that the user
+     * can't switch to with the switchHotkey, and that doesn't have
+     * a taskbar button.
+     * @package
+     */
+    isToolWindow() {
+        return this.props.variant === 'tool';
+    }
+
+    /**
+     * Returns true if minimizing the dialog hides it into the taskbar.
+     * Tool windows don't have taskbar buttons, so they're minimized
+     * in place.
+     * @private
+     */
+    _minimizesToTaskbar() {
+        return this.windowManager.hasTaskbar() && !this.isToolWindow();
+    }
+
+    /**
+     * Returns the buttons of the titlebar, from left to right.
+     * @returns {Array<module:titlebarbutton/TitlebarButtonItem>}
+     * @package
+     */
+    getTitlebarButtons() {
+        const { icons } = this.theme,
+              messages = Win32Dialog.tooltipMessages,
+              buttons = getTitlebarButtonsProp(this.props);
+
+        return buttons.map((button) => {
+            const { type, ...custom } = (typeof button === 'string') ? { type: button } : button;
+
+            switch (type) {
+            case 'minimize':
+                return {
+                    type: titlebarButtons.minimize,
+                    icon: icons.minimize,
+                    tooltip: messages[titlebarButtons.minimize],
+                    disabled: !!custom.disabled
+                };
+            case 'maximize':
+                //a maximized window has a restore button instead
+                return {
+                    type: titlebarButtons.maximize,
+                    icon: (this.isMaximized) ? icons.restore : icons.maximize,
+                    tooltip: messages[(this.isMaximized) ? messages.length - 1 : titlebarButtons.maximize],
+                    disabled: !!custom.disabled || !this.props.resizable
+                };
+            case 'close':
+                return {
+                    type: titlebarButtons.close,
+                    icon: icons.close,
+                    tooltip: messages[titlebarButtons.close],
+                    disabled: !!custom.disabled
+                };
+            case 'help':
+                return {
+                    type: titlebarButtons.help,
+                    icon: icons.help,
+                    tooltip: messages[titlebarButtons.help],
+                    disabled: !!custom.disabled
+                };
+            default:
+                return {
+                    type: titlebarButtons.custom,
+                    icon: custom.icon,
+                    tooltip: custom.tooltip,
+                    disabled: !!custom.disabled,
+                    onClick: custom.onClick
+                };
+            }
+        });
+    }
+
+    /**
+     * Returns true if the titlebar has an enabled button of the given type.
+     * @param {number} type Value from the titlebarButtons object.
+     * @package
+     */
+    hasTitlebarButton(type) {
+        return this.getTitlebarButtons().some(button => button.type === type && !button.disabled);
+    }
+
+    /**
+     * Returns true if the titlebar button exists and isn't disabled.
+     * @param {number} idx Index of the button in the list of getTitlebarButtons.
+     * @package
+     */
+    isTitlebarButtonEnabled(idx) {
+        const button = this.getTitlebarButtons()[idx];
+
+        return !!button && !button.disabled;
+    }
+
     /**
      * Pushes the titlebar button that has the mouse on top of it.
      * Doesn't call the button's handler, just changes its style.
+     * Disabled buttons don't change.
+     * @returns {number} The index of the button.
      * @package
      */
     pushTitlebarButton() {
         if (this.cursorOnTitlebarButtons) {
+            //the space between the buttons belongs to the maximize button
             if (this.hoverTitlebarButton === NO_VALUE) {
-                this.hoverTitlebarButton = titlebarButtons.maximize;
+                this.hoverTitlebarButton = this.getTitlebarButtons()
+                                               .findIndex(button => button.type === titlebarButtons.maximize);
             }
 
-            this.setState({
-                activeTitlebarButton: this.hoverTitlebarButton
-            });
+            if (this.isTitlebarButtonEnabled(this.hoverTitlebarButton)) {
+                this.setState({
+                    activeTitlebarButton: this.hoverTitlebarButton
+                });
+            }
         }
 
         return this.hoverTitlebarButton;
     }
 
+    /**
+     * Runs the handler of a titlebar button. Is called by the window
+     * manager, when the button is clicked.
+     * @param {number} idx Index of the button in the list of getTitlebarButtons.
+     * @package
+     */
+    clickTitlebarButton(idx) {
+        const button = this.getTitlebarButtons()[idx];
+
+        if (!button) {
+            return;
+        }
+
+        if (button.type === titlebarButtons.custom) {
+            button.onClick && button.onClick();
+        } else {
+            this.handleTitlebarButtonClick(button.type);
+        }
+    }
+
     /**
      * Releases the currently pushed titlebar button.
      * @package
@@ -576,12 +2107,308 @@ export default class Win32Dialog extends React.Component {
         });
     }
 
+    /**
+     * Returns the items of the dialog's system menu. Which of the items are
+     * disabled depends on whether the dialog is maximized or minimized,
+     * on its resizable and movable props, and on its titlebar buttons.
+     * @returns {Array<module:systemmenu/SystemMenuItem>}
+     * @package
+     */
+    getSystemMenuItems() {
+        const { isMaximized, isMinimized, isMinimizedToTaskbar } = this,
+              canMinimize = !isMinimized && (!isMaximized || this._minimizesToTaskbar()),
+              customItems = this.props.systemMenuItems || [];
+
+        let items = [
+            { label: '&Restore', command: systemCommands.restore, disabled: !isMaximized && !isMinimized },
+            { label: '&Move', command: systemCommands.move,
+              disabled: isMaximized || isMinimizedToTaskbar || !this.props.movable },
+            { label: '&Size', command: systemCommands.size,
+              disabled: isMaximized || isMinimized || !this.props.resizable },
+            { label: 'Mi&nimize', command: systemCommands.minimize,
+              disabled: !canMinimize || !this.hasTitlebarButton(titlebarButtons.minimize) },
+            { label: 'Ma&ximize', command: systemCommands.maximize,
+              disabled: isMaximized || isMinimized || !this.hasTitlebarButton(titlebarButtons.maximize) },
+            { separator: true },
+        ];
+
+        if (customItems.length) {
+            items = items.concat(customItems.map(item => (
+                (item.separator) ? { separator: true } : {
+                    label: item.label,
+                    command: systemCommands.custom,
+                    disabled: !!item.disabled,
+                    onClick: item.onClick
+                }
+            )), { separator: true });
+        }
+
+        items.push({
+            label: '&Close',
+            shortcut: 'Alt+F4',
+            command: systemCommands.close,
+            isDefault: true,
+            disabled: !this.hasTitlebarButton(titlebarButtons.close)
+        });
+
+        return items;
+    }
+
+    /**
+     * Returns the position right below the titlebar's icon, where
+     * the system menu opens if it's not opened with the mouse.
+     * @package
+     */
+    getSystemMenuAnchor() {
+        if (this.iconRef.current) {
+            const rect = this.iconRef.current.getBoundingClientRect();
+
+            return getCursorPos({
+                clientX: rect.left,
+                clientY: rect.bottom
+            }, this.windowManager.getContainer());
+        }
+
+        return { x: this.rc.left, y: this.rc.top };
+    }
+
+    /**
+     * Opens the system menu. Is called by the window manager.
+     * @param {module:cursor/CursorPos} position The menu's upper left corner.
+     * @param {number} zIndex The menu's z-index.
+     * @package
+     */
+    openSystemMenu(position, zIndex) {
+        this.setState({
+            systemMenu: {
+                position: position,
+                zIndex: zIndex,
+                selected: NO_VALUE
+            }
+        });
+    }
+
+    /**
+     * Closes the system menu. Is called by the window manager.
+     * @package
+     */
+    closeSystemMenu() {
+        this.cursorOnSystemMenu = false;
+
+        this.setState((prevState) => {
+            if (prevState.systemMenu.position) {
+                return {
+                    systemMenu: {
+                        position: null,
+                        zIndex: 0,
+                        selected: NO_VALUE
+                    }
+                };
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Returns the icon and the title of the dialog.
+     * @returns {module:switcher/WindowCaption}
+     * @package
+     */
+    getCaption() {
+        return {
+            icon: this.props.icon,
+            title: this.props.title
+        };
+    }
+
+    /**
+     * Displays the window switcher overlay. Is called by the window manager.
+     * @param {Array<module:switcher/WindowCaption>} items
+     * @param {number} selected
+     * @param {number} zIndex
+     * @package
+     */
+    showSwitcher(items, selected, zIndex) {
+        this.setState({
+            switcher: {
+                items,
+                selected,
+                zIndex
+            }
+        });
+    }
+
+    /**
+     * Closes the window switcher overlay. Is called by the window manager.
+     * @package
+     */
+    closeSwitcher() {
+        this.setState({
+            switcher: {
+                items: null,
+                selected: NO_VALUE,
+                zIndex: 0
+            }
+        });
+    }
+
+    /**
+     * Selects a system menu item by its index.
+     * @param {number} idx
+     * @private
+     */
+    _selectSystemMenuItem = (idx) => {
+        this.setState((prevState) => ({
+            systemMenu: {
+                ...prevState.systemMenu,
+                selected: idx
+            }
+        }));
+    }
+
+    /**
+     * Moves the system menu's selection up or down, skipping
+     * the separators. The selection wraps around the menu's edges.
+     * @param {number} step 1 to move the selection down, -1 to move it up.
+     * @package
+     */
+    moveSystemMenuSelection(step) {
+        const items = this.getSystemMenuItems();
+        let idx = this.state.systemMenu.selected;
+
+        if (idx === NO_VALUE && step < 0) {
+            idx = 0;
+        }
+
+        do {
+            idx = (idx + step + items.length) % items.length;
+        } while (items[idx].separator);
+
+        this._selectSystemMenuItem(idx);
+    }
+
+    /**
+     * Returns true if the command's item isn't disabled in the system menu.
+     * @param {number} command Value from the systemCommands object.
+     * @package
+     */
+    isSystemCommandEnabled(command) {
+        return this.getSystemMenuItems().some(item => item.command === command && !item.disabled);
+    }
+
+    /**
+     * Runs the command of a system menu item and closes the menu.
+     * Disabled items and separators are ignored.
+     * @param {number} idx Index of the item. If it's undefined, the
+     * selected item is used.
+     * @package
+     */
+    activateSystemMenuItem(idx = this.state.systemMenu.selected) {
+        const item = this.getSystemMenuItems()[idx];
+
+        if (!item || item.separator || item.disabled) {
+            return;
+        }
+
+        this.windowManager.closeSystemMenu();
+        this.handleSystemCommand(item.command, item);
+    }
+
+    /**
+     * Runs the command of the system menu item that has key as its
+     * mnemonic character.
+     * @param {string} key
+     * @returns {boolean} True if there was an item with that mnemonic.
+     * @package
+     */
+    activateSystemMenuMnemonic(key) {
+        const items = this.getSystemMenuItems(),
+              lowerKey = (key || '').toLowerCase();
+
+        for (let i = 0; i < items.length; i++) {
+            if (!items[i].separator && getMnemonic(items[i].label) === lowerKey) {
+                this.activateSystemMenuItem(i);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Handlers for each system menu command.
+     * @param {number} command Legal values are the values from the
+     * systemCommands object.
+     * @param {module:systemmenu/SystemMenuItem} item The menu item, for
+     * custom commands.
+     * @package
+     */
+    handleSystemCommand(command, item) {
+        switch (command) {
+        case systemCommands.restore:
+            //maximized windows can be minimized into the taskbar, and then
+            //they're restored back to their maximized state
+            if (this.isMinimized) {
+                this.handleTitlebarButtonClick(titlebarButtons.minimize);
+            } else if (this.isMaximized) {
+                this.handleTitlebarButtonClick(titlebarButtons.maximize);
+            }
+            break;
+        case systemCommands.move:
+            this.windowManager.startTrackingMode(this, cursorState.move);
+            break;
+        case systemCommands.size:
+            this.windowManager.startTrackingMode(this, cursorState.bottomright);
+            break;
+        case systemCommands.minimize:
+            this.handleTitlebarButtonClick(titlebarButtons.minimize);
+            break;
+        case systemCommands.maximize:
+            this.handleTitlebarButtonClick(titlebarButtons.maximize);
+            break;
+        case systemCommands.close:
+            this.requestClose();
+            break;
+        case systemCommands.custom:
+            item.onClick && item.onClick();
+            break;
+        }
+    }
+
+    /**
+     * Flashes the titlebar, by alternating between its focused and unfocused
+     * styles a few times. Is called by the window manager when the user
+     * clicks outside of a modal dialog.
+     * @package
+     */
+    flashTitlebar() {
+        this.flashTimer.cancel();
+        this.flashesLeft = Win32Dialog.titlebarFlashes;
+        this._flashTitlebarStep();
+    }
+
+    /**
+     * Is called by the flash timer, for each titlebar color change.
+     * @private
+     */
+    _flashTitlebarStep = () => {
+        this.flashesLeft--;
+
+        this.setState({
+            flashToggled: this.flashesLeft > 0 && (this.flashesLeft % 2 === 1)
+        });
+
+        if (this.flashesLeft > 0) {
+            this.flashTimer.start();
+        }
+    }
+
     /**
      * Maximizes the window. Only called by the window manager.
      * @package
      */
     maximize() {
-        this.rc.coverDocumentBody();
+        this.rc.coverBounds(this._getBoundary() || this.windowManager.getBounds());
         this.setState({
             width: this.rc.width,
             height: this.rc.height,
@@ -597,10 +2424,16 @@ export default class Win32Dialog extends React.Component {
      * @package
      */
     handleTitlebarButtonClick(button) {
-        let icon, noBorder;
+        let noBorder;
 
         switch (button) {
         case titlebarButtons.minimize:
+            if (this.isMinimizedToTaskbar ||
+                (!this.isMinimized && this._minimizesToTaskbar())) {
+                this._toggleMinimizeToTaskbar();
+                break;
+            }
+
             if (this.isMaximized) {
                 break;
             }
@@ -612,12 +2445,21 @@ export default class Win32Dialog extends React.Component {
             if (this.isMinimized) {
                 this.rcCache.width = this.rc.width;
                 this.rcCache.height = this.rc.height;
+
+                //the children of an MDI client are docked while they're
+                //minimized, and go back to their position when they're restored
+                this.rcCache.left = this.rc.left;
+                this.rcCache.top = this.rc.top;
         
                 this.rc.resizeToCursor({
                     x: this.rc.left + this.rc.minWidth,
                     y: this.rc.top + this.rc.minHeight
                 }, cursorState.bottomright);
             } else {
+                if (this.windowManager.isMdiClient) {
+                    this.rc.update(this.rcCache.left, this.rcCache.top);
+                }
+
                 this.rc.resizeToCursor({
                     x: this.rc.left + this.rcCache.width,
                     y: this.rc.top + this.rcCache.height
@@ -627,7 +2469,17 @@ export default class Win32Dialog extends React.Component {
             this.setState({
                 width: this.rc.width,
                 height: this.rc.height,
+                top: this.rc.top,
+                left: this.rc.left,
+                minimized: this.isMinimized,
             });
+
+            if (this.isMinimized && this.windowManager.isMdiClient) {
+                this.windowManager.dockWindow(this);
+            }
+
+            this.windowManager.setOwnedWindowsHidden(this, this.isMinimized);
+            this.windowManager.windowChanged(this);
             break;
         case titlebarButtons.maximize:
             if (this.isMinimized) {
@@ -643,8 +2495,7 @@ export default class Win32Dialog extends React.Component {
                 this.rcCache.top = this.rc.top;
                 this.rcCache.left = this.rc.left;
         
-                this.rc.coverDocumentBody();
-                icon = defaultRestoreIcon;
+                this.rc.coverBounds(this._getBoundary() || this.windowManager.getBounds());
             } else {
                 this.rc.setCursorOffset();
 
@@ -652,7 +2503,6 @@ export default class Win32Dialog extends React.Component {
                                this.rcCache.top,
                                this.rcCache.width,
                                this.rcCache.height);
-                icon = defaultMaximizeIcon;
             }
 
             this.setState({
@@ -660,114 +2510,233 @@ export default class Win32Dialog extends React.Component {
                 height: this.rc.height,
                 top: this.rc.top,
                 left: this.rc.left,
-                noBorder: noBorder,
-                maximizeIcon: icon
+                noBorder: noBorder
             });
+
+            this.windowManager.windowChanged(this);
             break;
         case titlebarButtons.close:
-            //If an onExit callback was given as a prop, call it.
-            //If the callback's return value is truthy, then this
-            //dialog box is "destroyed" (essentially it will only
-            //render null from now on) and it will be unregistered
-            //from the window manager.
-            //If an onExit callback wasn't given, then the window
-            //simply gets destroyed and unregistered.
-            //If a callback was given and it returns falsy, nothing happens.
-            if (!this.props.onExit || this.props.onExit()) {
-                Win32Dialog.windowManager.unregisterWindow(this.state.zIndex);
-                this.setState({
-                    hasClosed: true
-                });
-            }
+            this.requestClose();
             break;
+        case titlebarButtons.help:
+            this.windowManager.startHelpMode(this);
+            break;
+        }
+    }
+
+    /**
+     * Changes the dialog's cursor to the help cursor, or back. Is called
+     * by the window manager when the help mode starts and ends.
+     * @param {boolean} help_mode
+     * @package
+     */
+    setHelpMode(help_mode) {
+        this.setState({ helpMode: help_mode });
+    }
+
+    /**
+     * Calls the onHelp prop with the element that the user clicked in help
+     * mode, if the element is inside the dialog. Is called by the window
+     * manager.
+     * @param {HTMLElement} element
+     * @package
+     */
+    showHelp(element) {
+        const border = this.borderRef.current;
+
+        if (border && border.contains(element)) {
+            this.props.onHelp && this.props.onHelp(element);
         }
     }
 
     render() {
-        if (this.state.hasClosed) {
+        return (
+            <WindowManagerContext.Consumer>
+                {windowManager => (
+                    <ThemeContext.Consumer>
+                        {theme => {
+                            this.contextWindowManager = windowManager;
+                            this.contextTheme = theme;
+
+                            return this._renderDialog();
+                        }}
+                    </ThemeContext.Consumer>
+                )}
+            </WindowManagerContext.Consumer>
+        );
+    }
+
+    /**
+     * Renders the dialog, or nothing if it's closed.
+     * @private
+     */
+    _renderDialog() {
+        if (!this.isOpen()) {
             return null;
         }
 
         const {
-            maximizeIcon,
+            open,
             tooltipArgs,
+            systemMenu,
+            switcher,
             activeTitlebarButton,
             hasFocus,
+            flashToggled,
+            hiddenByOwner,
+            hiddenInTaskbar,
             noBorder,
+            dockPreview,
+            helpMode,
+            zIndex,
+            geometryProps,
+            minimized,
+            modal,
+            wasOpen,
             ...borderStyle
         } = this.state;
+        const zIndexBase = this.windowManager.zIndexBase;
 
         let borderClasses = 'react-win32dialog-outer-border',
             titlebarClasses = 'react-win32dialog-titlebar';
 
-        if (hasFocus) {
+        if (hasFocus !== flashToggled) {
             borderClasses += ' react-win32dialog-outer-border-focused';
             titlebarClasses += ' react-win32dialog-titlebar-focused';
         }
 
+        borderStyle.zIndex = zIndexBase + zIndex;
+
+        if (hiddenByOwner || hiddenInTaskbar) {
+            borderStyle.display = 'none';
+        }
+
         if (noBorder) {
             borderStyle.borderWidth = 0;
+            borderClasses += ' react-win32dialog-outer-border-maximized';
             titlebarClasses += ' react-win32dialog-maximized';
         }
 
-        let toggledButtons = [ false, false, false ];
+        if (!this.props.resizable) {
+            borderClasses += ' react-win32dialog-outer-border-fixed';
+
+            //the fixed frame gets its width from the theme, unless
+            //the borderWidth prop asks for one
+            if (this.props.borderWidth === undefined && !noBorder) {
+                delete borderStyle.borderWidth;
+            }
+        }
+
+        if (helpMode) {
+            borderClasses += ' react-win32dialog-help-mode';
+        }
+
+        if (this.isToolWindow()) {
+            titlebarClasses += ' react-win32dialog-titlebar-tool';
+        }
 
-        if (activeTitlebarButton !== NO_VALUE)
-            toggledButtons[activeTitlebarButton] = true;
+        const theme = this.theme,
+              themeProps = getThemeProps(theme, borderStyle);
 
         return (
             <React.Fragment>
 
+            {this.isModal && (
+                <div
+                    style={{ zIndex: borderStyle.zIndex }}
+                    onContextMenu={(ev) => ev.preventDefault()}
+                    className='react-win32dialog-modal-overlay'
+                />
+            )}
+
             <Tooltip
-                args={tooltipArgs}
+                args={{ ...tooltipArgs, zIndex: zIndexBase + tooltipArgs.zIndex }}
                 getRef={el => this.tooltipRef = el}
             />
 
+            <SystemMenu
+                position={systemMenu.position}
+                zIndex={zIndexBase + systemMenu.zIndex}
+                selected={systemMenu.selected}
+                items={(systemMenu.position) ? this.getSystemMenuItems() : []}
+                onEnter={() => this.cursorOnSystemMenu = true}
+                onLeave={() => this.cursorOnSystemMenu = false}
+                onSelect={this._selectSystemMenuItem}
+                onActivate={(idx) => this.activateSystemMenuItem(idx)}
+                theme={theme}
+            />
+
+            <WindowSwitcher
+                items={switcher.items}
+                selected={switcher.selected}
+                zIndex={zIndexBase + switcher.zIndex}
+                theme={theme}
+            />
+
+            {dockPreview && (
+                <div
+                    style={{
+                        left: dockPreview.x,
+                        top: dockPreview.y,
+                        width: dockPreview.width,
+                        height: dockPreview.height,
+                        zIndex: borderStyle.zIndex
+                    }}
+                    className='react-win32dialog-dock-preview'
+                />
+            )}
+
             <div
-                style={borderStyle}
-                onMouseEnter={() => this.cursorOnWindow = true}
-                onMouseLeave={() => this.cursorOnWindow = false}
-                className={borderClasses}
+                style={themeProps.style}
+                ref={this.borderRef}
+                role='dialog'
+                aria-labelledby={this.titleId}
+                aria-modal={(this.isModal) ? true : undefined}
+                tabIndex={-1}
+                {...hoverHandlers(() => this.cursorOnWindow = true,
+                                  () => this.cursorOnWindow = false)}
+                onFocus={this._onFocus}
+                onKeyDown={this._onKeyDown}
+                className={borderClasses + ' ' + themeProps.className}
             >
 
                 <div
-                    onMouseEnter={() => this.cursorOnTitlebar = true}
-                    onMouseLeave={() => this.cursorOnTitlebar = false}
+                    {...hoverHandlers(() => this.cursorOnTitlebar = true,
+                                      () => this.cursorOnTitlebar = false)}
+                    onContextMenu={(ev) => ev.preventDefault()}
                     className={titlebarClasses}
                 >
-                    <img
-                        src={this.props.icon}
-                        draggable={false}
-                        width='13'
-                        height='13'
-                        className='react-win32dialog-titlebar-icon'
-                    />
+                    {!this.isToolWindow() && (
+                        <img
+                            src={this.props.icon}
+                            ref={this.iconRef}
+                            draggable={false}
+                            {...hoverHandlers(() => this.cursorOnTitlebarIcon = true,
+                                              () => this.cursorOnTitlebarIcon = false)}
+                            width='13'
+                            height='13'
+                            className='react-win32dialog-titlebar-icon'
+                        />
+                    )}
 
-                    <span ref={this.titleRef}>{this.props.title}</span>
+                    <span id={this.titleId} ref={this.titleRef}>{this.props.title}</span>
 
                     <div
                         className='react-win32dialog-titlebar-buttons'
-                        onMouseEnter={() => this.cursorOnTitlebarButtons = true}
-                        onMouseLeave={() => this.cursorOnTitlebarButtons = false}
+                        {...hoverHandlers(() => this.cursorOnTitlebarButtons = true,
+                                          () => this.cursorOnTitlebarButtons = false)}
                     >
-                        <TitlebarButton
-                            icon={defaultMinimizeIcon}
-                            onEnter={() => this.hoverTitlebarButton = titlebarButtons.minimize}
-                            onLeave={() => this.hoverTitlebarButton = NO_VALUE}
-                            toggled={toggledButtons[titlebarButtons.minimize]}
-                        />
-                        <TitlebarButton
-                            icon={maximizeIcon}
-                            onEnter={() => this.hoverTitlebarButton = titlebarButtons.maximize}
-                            onLeave={() => this.hoverTitlebarButton = NO_VALUE}
-                            toggled={toggledButtons[titlebarButtons.maximize]}
-                        />
-                        <TitlebarButton
-                            icon={defaultCloseIcon}
-                            onEnter={() => this.hoverTitlebarButton = titlebarButtons.close}
-                            onLeave={() => this.hoverTitlebarButton = NO_VALUE}
-                            toggled={toggledButtons[titlebarButtons.close]}
-                        />
+                        {this.getTitlebarButtons().map((button, idx) => (
+                            <TitlebarButton
+                                key={idx}
+                                icon={button.icon}
+                                isClose={button.type === titlebarButtons.close}
+                                disabled={button.disabled}
+                                onEnter={() => this.hoverTitlebarButton = idx}
+                                onLeave={() => this.hoverTitlebarButton = NO_VALUE}
+                                toggled={activeTitlebarButton === idx}
+                            />
+                        ))}
                     </div>
                 </div>
 
@@ -3,6 +3,7 @@
  */
 'use strict';
 
+import PropTypes from 'prop-types';
 
 const NO_VALUE = -1;
 
@@ -12,7 +13,63 @@ const getViewportWidth = () => (
     (window.innerWidth > _doc_element.clientWidth) ? _doc_element.clientWidth : window.innerWidth
 );
 
+const getViewportHeight = () => (
+    (window.innerHeight > _doc_element.clientHeight) ? _doc_element.clientHeight : window.innerHeight
+);
+
+/**
+ * Returns the event handler props that call onEnter and onLeave when
+ * the pointer enters and leaves an element.
+ * Both the mouse and the pointer events are handled, because pointers
+ * that can't hover (like touch) only fire the pointer events, right
+ * before they're pressed.
+ * @param {Function} onEnter
+ * @param {Function} onLeave
+ * @package
+ */
+const hoverHandlers = (onEnter, onLeave) => ({
+    onMouseEnter: onEnter,
+    onMouseLeave: onLeave,
+    onPointerEnter: onEnter,
+    onPointerLeave: onLeave,
+});
+
+/**
+ * The shape of a key combination, like the switchHotkey of a window
+ * manager. It has the same properties as a keyboard event.
+ * @package
+ */
+const hotkeyPropType = PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    altKey: PropTypes.bool,
+    ctrlKey: PropTypes.bool,
+    metaKey: PropTypes.bool,
+    shiftKey: PropTypes.bool,
+});
+
+/**
+ * Passes the switchHotkey and closeHotkey props of a component to its
+ * window manager, if they changed. The hotkeys that were set through the
+ * manager's API stay, until the props change again.
+ * @param {module:manager/WindowManager} manager
+ * @param {Object} prevProps
+ * @param {Object} props
+ * @package
+ */
+const updateHotkeys = (manager, prevProps, props) => {
+    if (prevProps.switchHotkey !== props.switchHotkey) {
+        manager.switchHotkey = props.switchHotkey;
+    }
+    if (prevProps.closeHotkey !== props.closeHotkey) {
+        manager.closeHotkey = props.closeHotkey;
+    }
+};
+
 export {
     NO_VALUE,
-    getViewportWidth
+    getViewportWidth,
+    getViewportHeight,
+    hoverHandlers,
+    hotkeyPropType,
+    updateHotkeys
 };
@@ -3,3 +3,9 @@
 import './styles.scss';
 
 export { default } from './dialog';
+export { default as Win32Taskbar } from './taskbar';
+export { windowManager } from './api';
+export { default as Win32Desktop } from './desktop';
+export { default as Win32MdiClient } from './mdiclient';
+export { default as Win32ThemeProvider } from './themeprovider';
+export { themes } from './themes';
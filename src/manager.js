@@ -6,11 +6,17 @@
 import {
     cursorState,
     getCursorPos,
+    isTouchPointer,
     setGlobalCursorStyle,
 } from './cursor';
 import { titlebarButtons } from './titlebarbutton';
-import { NO_VALUE } from './globals';
+import { systemCommands } from './systemmenu';
+import {
+    NO_VALUE,
+    getViewportWidth,
+} from './globals';
 import Timer from './timer';
+import { getViewportBounds } from './rect';
 
 
 /**
@@ -28,14 +34,43 @@ const DialogInterface = {
         'updateWindowZIndex',
         'updateWindowSize',
         'updateWindowPosition',
+        'updateDockPreview',
         'getCursorState',
         'setupCursorOffset',
         'fixOffScreenMove',
         'pushTitlebarButton',
         'releaseTitlebarButton',
+        'getTitlebarButtons',
+        'isTitlebarButtonEnabled',
+        'hasTitlebarButton',
+        'clickTitlebarButton',
         'handleTitlebarButtonClick',
+        'setHelpMode',
+        'showHelp',
         'isTitleOverflowing',
-        'maximize'
+        'isToolWindow',
+        'flashTitlebar',
+        'getOwner',
+        'close',
+        'setHiddenByOwner',
+        'openSystemMenu',
+        'closeSystemMenu',
+        'getSystemMenuAnchor',
+        'moveSystemMenuSelection',
+        'activateSystemMenuItem',
+        'activateSystemMenuMnemonic',
+        'isSystemCommandEnabled',
+        'handleSystemCommand',
+        'getGeometry',
+        'setGeometry',
+        'getMinimumSize',
+        'fitInBoundary',
+        'requestClose',
+        'maximize',
+        'focusContent',
+        'getCaption',
+        'showSwitcher',
+        'closeSwitcher'
     ],
     properties: [
         'tooltipOnTitlebarButton',
@@ -44,8 +79,13 @@ const DialogInterface = {
         'cursorOnWindow',
         'cursorOnTitlebar',
         'cursorOnTitlebarButtons',
+        'cursorOnTitlebarIcon',
+        'cursorOnSystemMenu',
         'isMaximized',
-        'isMinimized'
+        'isMinimized',
+        'isMinimizedToTaskbar',
+        'isModal',
+        'id'
     ],
     /**
      * This method performs a runtime check to see if the
@@ -90,36 +130,218 @@ const DialogInterface = {
  * in the DialogInterface object.
  *
  * How it works: The manager sets 3 event listeners for basic mouse
- * events (move, up, down) and notifies any window registered
+ * events (move, up, down), and one for keyboard events (for the shortcuts
+ * of the system menu), and notifies any window registered
  * to this manager, if needed, using the observer/listener pattern. With
  * this design, the windows won't react to anything by themselves. They wait
  * for the manager to instruct them to change state.
  *
  * Stacking of windows is supported by giving each window a unique z-index.
- * To uniquely identify a window within the window manager, we use that window's
- * z-index.
+ * Windows are identified by their ids instead, since their z-indexes change
+ * every time the stack changes.
  * By stacking windows on top of each other, it's guaranteed that only one
  * window has focus at each given moment.
+ *
+ * The manager can be scoped to a container element, like the one of a
+ * Win32Desktop. Its windows are positioned relative to the container and
+ * stay inside it, and the manager only handles the keyboard while the
+ * keyboard focus is inside the container. Each manager has its own stack.
+ *
+ * Modal windows are always stacked above the modeless ones. While a modal
+ * window is registered, only the modal window on the top of the stack
+ * accepts input, and the rest of the windows can't be brought to the top.
+ *
+ * Windows can be owned by other windows. Owned windows are always stacked
+ * above their owner, and the owner and all of its owned windows (its family)
+ * are brought to the top together. Since the window with focus isn't always
+ * the one on the top of the stack in that case, the manager keeps track of
+ * it separately.
  * @package
  */
 export default class WindowManager {
 
-    constructor() {
+    /**
+     * How many pixels an arrow key moves a window, or one of its edges,
+     * while it's moved or resized with the keyboard. With the Ctrl key held
+     * down, the arrow keys move it by a single pixel.
+     */
+    static keyboardStep = 8;
+
+    /**
+     * Maps the arrow keys to the window edges that they select,
+     * while a window is resized with the keyboard.
+     * @private
+     */
+    static arrowEdges = {
+        ArrowLeft: cursorState.left,
+        ArrowRight: cursorState.right,
+        ArrowUp: cursorState.top,
+        ArrowDown: cursorState.bottom,
+        Left: cursorState.left,
+        Right: cursorState.right,
+        Up: cursorState.top,
+        Down: cursorState.bottom,
+    };
+
+    /**
+     * How many milliseconds a touch or pen press on the titlebar has to be
+     * held down, before the system menu opens.
+     */
+    static longPressDelay = 500;
+
+    /**
+     * How many pixels a long press can move before it's treated as a drag.
+     * @private
+     */
+    static longPressSlop = 10;
+
+    /**
+     * The height of the taskbar in pixels. It has to match the height
+     * in the stylesheet, since the windows don't cover the taskbar.
+     * @private
+     */
+    static taskbarHeight = 28;
+
+    /**
+     * The offset of each window from the previous one, when the
+     * windows are cascaded.
+     */
+    static cascadeStep = 24;
+
+    /**
+     * @param {Object} containerRef A React ref to the element that the
+     * windows are drawn in, if the manager is scoped to an element.
+     * @param {boolean} isMdiClient True if the manager is the one of a
+     * Win32MdiClient.
+     */
+    constructor(containerRef = null, isMdiClient = false) {
+        /**
+         * Points to the container element of a scoped manager, or is null
+         * if the windows can be anywhere on the page.
+         * @private
+         */
+        this.containerRef = containerRef;
+
+        /**
+         * True if the windows are the children of an MDI client. Minimized
+         * windows are docked along the bottom edge of the client area.
+         * @package
+         */
+        this.isMdiClient = isMdiClient;
+
+        /**
+         * True if the browser supports Pointer Events. In that case the manager
+         * listens to the pointer events instead of the mouse events, so that
+         * touch and pen input can move and resize the windows as well.
+         * @private
+         */
+        this.pointerEvents = typeof window.PointerEvent === 'function';
+
+        /**
+         * The names of the events that are handled by the mouse handlers.
+         * @private
+         */
+        this.pointerEventNames = (this.pointerEvents) ?
+            { down: 'pointerdown', move: 'pointermove', up: 'pointerup' } :
+            { down: 'mousedown', move: 'mousemove', up: 'mouseup' };
+
+        /**
+         * The pointerId of the pointer that pressed on the active window.
+         * The events of any other pointer (e.g. a second finger on a touch
+         * screen) are ignored until that pointer is released.
+         * @private
+         */
+        this.activePointerId = NO_VALUE;
+
+        /**
+         * The position where the touch or pen press of a long press started.
+         * @private
+         */
+        this.longPressPos = null;
+
+        /**
+         * The system menu of the active window opens when this timer is finished.
+         * @private
+         */
+        this.longPressTimer = new Timer(WindowManager.longPressDelay, this._onLongPress);
+
+        /**
+         * The key combination that switches between the windows.
+         * It has the same properties as a keyboard event: key, and the
+         * altKey, ctrlKey, metaKey and shiftKey modifiers.
+         * Holding down Shift as well switches in the opposite direction,
+         * unless shiftKey is part of the combination.
+         * If the combination has any modifiers, the windows are listed in
+         * an overlay while the modifiers are held down. Otherwise, each key
+         * press switches to the next window right away.
+         * @package
+         */
+        this.switchHotkey = { key: 'F6', altKey: true };
+
+        /**
+         * The key combination that closes the window with focus, besides
+         * Alt+F4, or null if there's none. It has the same properties as
+         * the switchHotkey.
+         * @package
+         */
+        this.closeHotkey = null;
+
+        /**
+         * The CSS z-index of the bottom of the stack. The windows, and the
+         * overlays of the modal windows, are drawn above the positioned
+         * elements of the page that have a lower z-index.
+         * @see {module:manager/WindowManager#setZIndexBase}
+         * @package
+         */
+        this.zIndexBase = 1000;
+
+        /**
+         * The registered windows, ordered from the one that had focus
+         * most recently to the one that had it least recently.
+         * @private
+         */
+        this.focusHistory = [];
+
+        /**
+         * The windows that the user is switching between with the keyboard,
+         * in the order they're listed, or null if the user isn't switching.
+         * @private
+         */
+        this.switchList = null;
+
+        /**
+         * The index of the selected window in switchList.
+         * @private
+         */
+        this.switchSelected = NO_VALUE;
+
+        /**
+         * The window that renders the switcher overlay.
+         * @private
+         */
+        this.windowWithSwitcher = null;
+
+        /**
+         * Map of all windows registered to this manager, by their ids, in
+         * the order they were registered. The windows in this map act as
+         * listeners to the commands of the window manager.
+         * @private
+         */
+        this.windows = new Map();
+
         /**
-         * Array of all windows registered to this manager.
-         * The windows in this array, act as listeners to the commands
-         * of the window manager.
+         * The ids of the registered windows, ordered from the bottom to
+         * the top of the stack. The position of each id is the z-index
+         * of its window.
          * @private
          */
-        this.windows = [];
+        this.stack = [];
+
         /**
-         * The z-index of the window that will be registered next.
-         * This _isn't_ the same as the length of the windows array, but
-         * is guaranteed to be less than or equal to it.
-         * See the register/unregister methods below.
+         * The window that currently has focus, or null if no window has focus.
          * @private
          */
-        this.zIndexTop = 0;
+        this.focusedWindow = null;
 
         /**
          * The cursor's current state.
@@ -143,7 +365,15 @@ export default class WindowManager {
         this.cursorPos = null;
 
         /**
-         * Takes values from {@module:titlebarbutton/titlebarButtons}
+         * The client coordinates of the last mouse press in the scope of
+         * this manager, or null. Windows can be placed there when they open.
+         * @private
+         */
+        this.lastPress = null;
+
+        /**
+         * Index of the pressed titlebar button of the active window.
+         * @see {module:dialog/Win32Dialog#getTitlebarButtons}
          * @private
          */
         this.pressedButton = -1;
@@ -153,6 +383,57 @@ export default class WindowManager {
          */
         this.rightClickTitlebar = false;
 
+        /**
+         * The id of the window that has its system menu open.
+         * @private
+         */
+        this.windowWithOpenMenu = null;
+
+        /**
+         * While the active window is moved or resized from its system menu,
+         * this property takes values from the cursorState object (cursorState.move
+         * for the Move command). Otherwise it's NO_VALUE.
+         * @private
+         */
+        this.trackingType = NO_VALUE;
+
+        /**
+         * True after the first mouse move event of a move/resize that
+         * started from the system menu.
+         * @private
+         */
+        this.trackingStarted = false;
+
+        /**
+         * True after the first arrow key that selected the edge to resize,
+         * while a window is resized with the keyboard.
+         * @private
+         */
+        this.trackingEdgeSelected = false;
+
+        /**
+         * The geometry that the active window had before it started moving
+         * or resizing from the system menu. It's restored if the user
+         * presses Escape.
+         * @private
+         */
+        this.trackingGeometry = null;
+
+        /**
+         * The id of the window that had its help button clicked. Until the
+         * next click, the cursor has a question mark, and the click asks
+         * the window for help on the element that it lands on.
+         * @private
+         */
+        this.helpWindow = null;
+
+        /**
+         * True if the click event of the press that ended the help mode
+         * hasn't fired yet. That click doesn't reach the page.
+         * @private
+         */
+        this.blockNextClick = false;
+
         /**
          * A tooltip appears when this timer is finished.
          * @private
@@ -166,161 +447,1674 @@ export default class WindowManager {
         this.closeTooltipTimer = new Timer(4000, this._resetTooltip);
 
         /**
-         * The z-index of the window that has a visible tooltip.
+         * The id of the window that has a visible tooltip.
          * @private
          */
-        this.windowWithVisibleTooltip = NO_VALUE;
+        this.windowWithVisibleTooltip = null;
 
         /**
-         * The z-index of the window that is currently maximized.
+         * The id of the window that is currently maximized.
          * @private
          */
-        this.maximizedWindow = NO_VALUE;
+        this.maximizedWindow = null;
 
         /**
-         * The z-index of the window that is currently active. The active
+         * The id of the window that is currently active. The active
          * window is in the middle of an action such as resizing/moving.
          * @private
          */
-        this.activeWindow = NO_VALUE;
+        this.activeWindow = null;
+
+        /**
+         * The number of mounted taskbars. The windows are minimized into
+         * the taskbar if there is at least one.
+         * @private
+         */
+        this.taskbarCount = 0;
+
+        /**
+         * True if the pointer is on top of a taskbar.
+         * @package
+         */
+        this.cursorOnTaskbar = false;
+
+        /**
+         * True if the pointer is on top of the menu bar of an MDI client.
+         * Like the taskbar, it doesn't take focus from the windows.
+         * @package
+         */
+        this.cursorOnMenuBar = false;
+
+        /**
+         * Callbacks that are called when the registered windows
+         * change in any way that the taskbars display.
+         * @private
+         */
+        this.subscribers = [];
+
+        setGlobalCursorStyle(this.currCursor);
+    }
+
+    /**
+     * Registers the window w to this window manager instance, and
+     * brings it to the top of the window stack with focus.
+     * The window is identified by its id from then on, so no other
+     * window with the same id can be registered at the same time.
+     *
+     * If w is modeless and there are modal windows in the stack, then w
+     * is placed right below the modal windows, without focus.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {boolean} checkInheritance
+     * @returns {number} The z-index of w.
+     * @package
+     */
+    registerWindow(w, checkInheritance = false) {
+        if (!checkInheritance /*|| DialogInterface.implements(w)*/) {
+            if (this.windows.has(w.id)) {
+                console.error(`WindowManager.registerWindow error: A window with the id '${w.id}' is already registered.`);
+                return NO_VALUE;
+            }
+
+            const zIndex = (w.isModal) ? this.stack.length : this._getModalBase(),
+                  isTop = zIndex === this.stack.length;
+
+            this.windows.set(w.id, w);
+
+            if (this.windows.size === 1) {
+                this._startListening();
+            }
+
+            w.updateWindowFocus(false);
+            this._restack(this._getStack().slice(0, zIndex)
+                                          .concat(w, this._getStack().slice(zIndex)));
+
+            if (isTop) {
+                this._setFocusedWindow(w);
+            }
+
+            this._notify();
+            return zIndex;
+        }
+
+        console.log(`WindowManager.registerWindow error: Invalid window argument '${w}'.`);
+        return NO_VALUE;
+    }
+
+    /**
+     * If the window with the given id is registered to this window manager,
+     * then remove it and move the windows that were above it one position
+     * down the stack.
+     * The windows owned by that window are closed as well.
+     * @param {string} id
+     * @package
+     */
+    unregisterWindow(id) {
+        const w = this._getWindow(id);
+
+        if (w) {
+            const owner = this._getRegisteredOwner(w);
+
+            //closing the owned windows unregisters them before w
+            this._getOwnedWindows(w).forEach(owned => owned.close());
+
+            this._resetTooltip();
+            this.closeSystemMenu();
+            this._endSwitching(false);
+            this.focusHistory = this.focusHistory.filter(fw => fw !== w);
+
+            if (this.trackingType !== NO_VALUE && this.activeWindow === id) {
+                this._endTracking();
+            }
+
+            if (this.helpWindow === id) {
+                this.helpWindow = null;
+                this._resetCursor();
+            }
+
+            this._restack(this._getStack().filter(sw => sw !== w));
+            this.windows.delete(id);
+
+            if (this.focusedWindow === w) {
+                this.focusedWindow = null;
+
+                //like in Win32, the owner gets activated when one
+                //of its owned windows is closed
+                if (owner && !this._isBlocked(owner)) {
+                    this._setFocusedWindow(owner);
+                } else if (this.stack.length) {
+                    this._setFocusedWindow(this._getTopWindow());
+                }
+            }
+
+            if (!this.windows.size) {
+                this._stopListening();
+            }
+
+            this._notify();
+        } else {
+            console.log(`WindowManager.unregisterWindow error: Invalid id argument '${id}'.`);
+        }
+    }
+
+    /**
+     * Returns the container element of a scoped manager, or null
+     * if the manager isn't scoped.
+     * @package
+     */
+    getContainer() {
+        return (this.containerRef) ? this.containerRef.current : null;
+    }
+
+    /**
+     * Returns the area that the windows are maximized in, by default. That's
+     * the container of a scoped manager, or the page otherwise, without
+     * the taskbar at the bottom, if there's one.
+     * @returns {module:rect/Bounds}
+     * @package
+     */
+    getBounds() {
+        const container = this.getContainer();
+
+        if (container) {
+            return {
+                left: 0,
+                top: 0,
+                width: container.clientWidth,
+                height: container.clientHeight
+            };
+        }
+
+        return this._excludeTaskbar({
+            left: 0,
+            top: 0,
+            width: getViewportWidth(),
+            height: document.body.clientHeight
+        });
+    }
+
+    /**
+     * Takes the height of the taskbar off the bottom of the given bounds,
+     * if there's a taskbar mounted.
+     * @param {module:rect/Bounds} bounds
+     * @returns {module:rect/Bounds}
+     * @private
+     */
+    _excludeTaskbar(bounds) {
+        if (this.hasTaskbar()) {
+            bounds.height = Math.max(bounds.height - WindowManager.taskbarHeight, 0);
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Returns the position of the pointer event, relative to the
+     * container of a scoped manager.
+     * @param {Event} ev
+     * @private
+     */
+    _getCursorPos(ev) {
+        return getCursorPos(ev, this.getContainer());
+    }
+
+    /**
+     * Returns true if the event's target is in the scope of this manager.
+     * Any element is in the scope of a manager that isn't scoped.
+     * @param {Event} ev
+     * @private
+     */
+    _isInScope(ev) {
+        const container = this.getContainer(),
+              target = ev.target;
+
+        return !container || (!!target && !!target.nodeType && container.contains(target));
+    }
+
+    /**
+     * Returns true if this manager should handle the keyboard. Scoped managers
+     * handle it while the keyboard focus is inside their container, and the
+     * manager of the page handles it while the focus is outside of every desktop.
+     * @private
+     */
+    _hasKeyboardScope() {
+        const el = document.activeElement;
+
+        if (this.containerRef) {
+            const container = this.getContainer();
+
+            return !!container && !!el && container.contains(el);
+        }
+
+        return !el || !el.closest || !el.closest('.react-win32dialog-desktop');
+    }
+
+    /**
+     * Returns the registered window with the given id, or undefined.
+     * @param {string} id
+     * @private
+     */
+    _getWindow(id) {
+        return this.windows.get(id);
+    }
+
+    /**
+     * Returns the registered windows, ordered from the bottom to the
+     * top of the stack.
+     * @private
+     */
+    _getStack() {
+        return this.stack.map(id => this.windows.get(id));
+    }
+
+    /**
+     * Returns the window on the top of the stack, or null if
+     * there aren't any registered windows.
+     * @private
+     */
+    _getTopWindow() {
+        return (this.stack.length) ? this._getWindow(this.stack[this.stack.length - 1]) : null;
+    }
+
+    /**
+     * Returns the number of windows in the stack. Elements that are drawn
+     * above every window, like the tooltips, use it as their z-index.
+     * @package
+     */
+    getStackSize() {
+        return this.stack.length;
+    }
+
+    /**
+     * Returns the registered windows in the order they were registered.
+     * The taskbars and the public API list the windows in this order.
+     * @private
+     */
+    _getRegisteredWindows() {
+        return Array.from(this.windows.values());
+    }
+
+    /**
+     * Returns the z-index of the lowest modal window in the stack. Since
+     * modal windows are always stacked above the modeless ones, this is also
+     * the position where the next modeless window is registered.
+     * If there aren't any modal windows, it returns the size of the stack.
+     * @private
+     */
+    _getModalBase() {
+        const stack = this._getStack();
+        let zIndex = stack.length;
+
+        while (zIndex > 0 && stack[zIndex - 1].isModal) {
+            zIndex--;
+        }
+
+        return zIndex;
+    }
+
+    /**
+     * Returns the modal window that is on top of the stack,
+     * or null if there aren't any modal windows.
+     * @private
+     */
+    _getTopModal() {
+        const top = this._getTopWindow();
+
+        return (top && top.isModal) ? top : null;
+    }
+
+    /**
+     * Returns true if w can't get focus because there's a modal
+     * window above it.
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _isBlocked(w) {
+        const topModal = this._getTopModal();
+
+        return topModal !== null && topModal !== w;
+    }
+
+    /**
+     * Gives focus to w and takes it away from the window that had it.
+     * @param {?module:dialog/Win32Dialog} w If it's null, then no
+     * window has focus.
+     * @private
+     */
+    _setFocusedWindow(w) {
+        if (this.focusedWindow !== w) {
+            if (this.focusedWindow) {
+                this.focusedWindow.updateWindowFocus(false);
+            }
+
+            this.focusedWindow = w;
+
+            if (w) {
+                this.focusHistory = [w].concat(this.focusHistory.filter(fw => fw !== w));
+                w.updateWindowFocus(true);
+            }
+
+            this._notify();
+        }
+    }
+
+    /**
+     * Returns the owner of w, if it's registered to this window manager.
+     * Returns null otherwise.
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _getRegisteredOwner(w) {
+        const owner = w.getOwner();
+
+        if (owner && owner !== w && this._isRegistered(owner)) {
+            return owner;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _isRegistered(w) {
+        return !!w && this.windows.get(w.id) === w;
+    }
+
+    /**
+     * Returns the number of owners above w, in its chain of owners.
+     * The chain stops if there's a cycle in it.
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _getOwnerDepth(w) {
+        let depth = 0;
+
+        for (let owner = this._getRegisteredOwner(w);
+             owner && depth < this.windows.size;
+             owner = this._getRegisteredOwner(owner)) {
+            depth++;
+        }
+
+        return depth;
+    }
+
+    /**
+     * Returns true if w is owned by owner, directly or indirectly.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {module:dialog/Win32Dialog} owner
+     * @private
+     */
+    _isOwnedBy(w, owner) {
+        let depth = this._getOwnerDepth(w);
+
+        for (let curr = this._getRegisteredOwner(w); curr && depth--; curr = this._getRegisteredOwner(curr)) {
+            if (curr === owner) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Returns the windows that are directly owned by owner, from
+     * the bottom to the top of the stack.
+     * @param {module:dialog/Win32Dialog} owner
+     * @private
+     */
+    _getOwnedWindows(owner) {
+        return this._getStack()
+                   .filter(w => w !== owner && this._getRegisteredOwner(w) === owner);
+    }
+
+    /**
+     * Returns the owner at the top of the chain of owners of w, or w
+     * itself if it doesn't have an owner.
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _getRootOwner(w) {
+        let depth = this._getOwnerDepth(w),
+            root = w;
+
+        while (depth--) {
+            root = this._getRegisteredOwner(root);
+        }
+
+        return root;
+    }
+
+    /**
+     * Hides or shows all the windows that are owned by owner, directly
+     * or indirectly. Owned windows are hidden while their owner is minimized.
+     * @param {module:dialog/Win32Dialog} owner
+     * @param {boolean} hidden
+     * @package
+     */
+    setOwnedWindowsHidden(owner, hidden) {
+        this._getStack()
+            .filter(w => this._isOwnedBy(w, owner))
+            .forEach(w => w.setHiddenByOwner(hidden));
+
+        if (hidden && this.focusedWindow && this._isOwnedBy(this.focusedWindow, owner)) {
+            this._setFocusedWindow(owner);
+        }
+    }
+
+    /**
+     * Is called by w after it's minimized into the taskbar, or restored
+     * from there. If w is hidden and it had focus, the next window from
+     * the top gets focus. If it's displayed again, it's brought to the top.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    updateWindowVisibility(w) {
+        if (!this._isRegistered(w)) {
+            return;
+        }
+
+        if (!w.isMinimizedToTaskbar) {
+            this._bringWindowToTop(w.id);
+        } else if (this.focusedWindow &&
+                   (this.focusedWindow === w || this._isOwnedBy(this.focusedWindow, w))) {
+            this._setFocusedWindow(this._getTopVisibleWindow());
+        }
+
+        this._notify();
+    }
+
+    /**
+     * Returns the window closest to the top of the stack that is displayed
+     * and isn't blocked by a modal window, or null if there isn't one.
+     * @private
+     */
+    _getTopVisibleWindow() {
+        const stack = this._getStack();
+
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const w = stack[i];
+
+            if (!w.isMinimizedToTaskbar && !this._isHiddenByOwner(w) && !this._isBlocked(w)) {
+                return w;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Is called by w when anything that the taskbars display changes,
+     * like its title.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    windowChanged(w) {
+        if (this._isRegistered(w)) {
+            this._notify();
+        }
+    }
+
+    /**
+     * Adds a callback that is called every time the registered windows
+     * change in a way that the taskbars display.
+     * @param {Function} callback
+     * @returns {Function} A function that removes the callback.
+     * @package
+     */
+    subscribe(callback) {
+        this.subscribers = this.subscribers.concat(callback);
+
+        return () => {
+            this.subscribers = this.subscribers.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Calls the subscribed callbacks.
+     * @private
+     */
+    _notify() {
+        this.subscribers.forEach(cb => cb());
+    }
+
+    /**
+     * Changes the CSS z-index of the bottom of the stack, and draws the
+     * windows and the taskbars again with it.
+     * @param {number} base
+     * @package
+     */
+    setZIndexBase(base) {
+        this.zIndexBase = base;
+        this._getRegisteredWindows().forEach(w => w.forceUpdate());
+        this._notify();
+    }
+
+    /**
+     * Is called when a taskbar is mounted. The windows are fitted
+     * in the area above it.
+     * @package
+     */
+    registerTaskbar() {
+        if (this.taskbarCount++ === 0) {
+            this._onResize();
+        }
+    }
+
+    /**
+     * Is called when a taskbar is unmounted. If it was the last one, the
+     * windows that were minimized into it are restored, since there's
+     * no other way to get them back.
+     * @package
+     */
+    unregisterTaskbar() {
+        if (--this.taskbarCount === 0) {
+            this.cursorOnTaskbar = false;
+
+            this._getStack()
+                .filter(w => w.isMinimizedToTaskbar)
+                .forEach(w => w.handleSystemCommand(systemCommands.restore));
+
+            //the maximized windows cover the taskbar's place again
+            this._onResize();
+        }
+    }
+
+    /**
+     * Returns true if there's at least one taskbar mounted.
+     * @package
+     */
+    hasTaskbar() {
+        return this.taskbarCount > 0;
+    }
+
+    /**
+     * @typedef {Object} WindowInfo
+     * @property {string} id The window's id.
+     * @property {module:dialog/Win32Dialog} window
+     * @property {string} title
+     * @property {string} icon
+     * @property {number} zIndex The window's position in the stack.
+     * @property {?string} ownerId The id of the window's owner, or null
+     * if it doesn't have a registered owner.
+     * @property {boolean} hasFocus
+     * @property {boolean} isMinimized
+     * @property {boolean} isMaximized
+     * @property {boolean} isModal
+     * @package
+     */
+
+    /**
+     * Returns information about every registered window, in the order
+     * the windows were registered.
+     * @returns {Array<WindowInfo>}
+     * @package
+     */
+    getWindowList() {
+        return this._getRegisteredWindows().map(w => {
+            const owner = this._getRegisteredOwner(w);
+
+            return {
+                id: w.id,
+                window: w,
+                ...w.getCaption(),
+                zIndex: this.stack.indexOf(w.id),
+                ownerId: (owner) ? owner.id : null,
+                hasFocus: w === this.focusedWindow,
+                isMinimized: w.isMinimized,
+                isMaximized: w.isMaximized,
+                isModal: w.isModal
+            };
+        });
+    }
+
+    /**
+     * Returns the registered window with the given id, or null if
+     * there isn't one.
+     * @param {string} id
+     * @package
+     */
+    getWindowById(id) {
+        return this._getWindow(id) || null;
+    }
+
+    /**
+     * Returns the windows that have a button on the taskbars, in the order
+     * they were registered. Owned windows and tool windows don't have buttons.
+     * @returns {Array<WindowInfo>}
+     * @package
+     */
+    getTaskbarEntries() {
+        return this.getWindowList().filter(info => info.ownerId === null && !info.window.isToolWindow());
+    }
+
+    /**
+     * Brings w to the top of the stack with focus, and restores it if
+     * it's minimized. If a modal window blocks w, the modal window's
+     * titlebar flashes instead.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    activateWindow(w) {
+        if (!this._isRegistered(w)) {
+            return;
+        }
+
+        if (this._isBlocked(w)) {
+            this._getTopModal().flashTitlebar();
+            return;
+        }
+
+        if (w.isMinimized) {
+            w.handleSystemCommand(systemCommands.restore);
+        }
+
+        this._bringWindowToTop(w.id);
+    }
+
+    /**
+     * Is called when the taskbar button of w is clicked. The window with
+     * focus is minimized, and any other window is activated.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    activateTaskbarWindow(w) {
+        if (w === this.focusedWindow && !w.isMinimized) {
+            w.handleSystemCommand(systemCommands.minimize);
+        } else {
+            this.activateWindow(w);
+        }
+    }
+
+    /**
+     * Minimizes every window that can be minimized, apart from the
+     * owned windows, which are hidden together with their owners.
+     * @package
+     */
+    minimizeAll() {
+        this._getRegisteredWindows()
+            .filter(w => !this._getRegisteredOwner(w) &&
+                         w.isSystemCommandEnabled(systemCommands.minimize))
+            .forEach(w => w.handleSystemCommand(systemCommands.minimize));
+    }
+
+    /**
+     * Asks every window to close, starting from the top of the stack.
+     * Windows can still refuse to close, like when they're closed by the user.
+     * @package
+     */
+    closeAll() {
+        this._getStack()
+                    .reverse()
+                    .forEach(w => {
+                        //closing a window closes its owned windows as well
+                        if (this._isRegistered(w)) {
+                            w.requestClose();
+                        }
+                    });
+    }
+
+    /**
+     * Returns the windows that are arranged by the cascade and tile
+     * commands, from the top to the bottom of the stack. Those are the
+     * windows that are displayed and aren't minimized or owned.
+     * @private
+     */
+    _getArrangeableWindows() {
+        return this._getStack()
+                   .reverse()
+                   .filter(w => !this._getRegisteredOwner(w) && !w.isMinimized &&
+                                !w.isMinimizedToTaskbar);
+    }
+
+    /**
+     * Returns the windows that are minimized inside the bounds, in the
+     * order they were registered.
+     * @private
+     */
+    _getDockedWindows() {
+        return this._getRegisteredWindows()
+                   .filter(w => !this._getRegisteredOwner(w) && w.isMinimized &&
+                                !w.isMinimizedToTaskbar);
+    }
+
+    /**
+     * Returns the bounds that the cascade and tile commands arrange the
+     * windows in, and that new windows are placed in. That's the container
+     * of a scoped manager, or the visible part of the page above the
+     * taskbar otherwise.
+     * The docked minimized windows of an MDI client aren't covered by
+     * the arranged windows.
+     * @returns {module:rect/Bounds}
+     * @package
+     */
+    getWorkArea() {
+        const container = this.getContainer(),
+              bounds = (container) ? this.getBounds() : this._excludeTaskbar(getViewportBounds(null));
+
+        if (this.isMdiClient) {
+            const bottom = bounds.top + bounds.height,
+                  dockTop = Math.min(bottom, ...this._getDockedWindows().map(w => w.getGeometry().y));
+
+            bounds.height = Math.max(dockTop - bounds.top, 0);
+        }
+
+        return bounds;
+    }
+
+    /**
+     * Returns the position that a new window w opens at, for a value
+     * of the placement prop. Unless w is cascaded, if it would overlap
+     * another window there, other than its owner, it's moved diagonally
+     * until it doesn't.
+     * If there's no such position, or w is cascaded, it's only moved until
+     * its upper left corner is away from the corners of the other windows,
+     * so that the titlebars don't hide each other. The position is always
+     * inside the given area, if w fits in it.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {string} placement 'cascade', 'center', 'center-owner' or 'cursor'.
+     * @param {module:rect/Bounds} area
+     * @returns {{x: number, y: number}}
+     * @package
+     */
+    getPlacement(w, placement, area) {
+        const step = WindowManager.cascadeStep,
+              { width, height } = w.getGeometry(),
+              right = area.left + Math.max(area.width - width, 0),
+              bottom = area.top + Math.max(area.height - height, 0),
+              owner = this._getRegisteredOwner(w),
+              displayed = this._getRegisteredWindows()
+                              .filter(other => other !== w && !other.isMinimized &&
+                                               !other.isMinimizedToTaskbar && !this._isHiddenByOwner(other)),
+              others = displayed.map(other => other.getGeometry()),
+              //owned windows are allowed to cover their owner
+              covered = displayed.filter(other => other !== owner).map(other => other.getGeometry()),
+              center = (outer) => ({
+                  x: Math.round(outer.x + (outer.width - width) / 2),
+                  y: Math.round(outer.y + (outer.height - height) / 2)
+              }),
+              overlapsOther = (x, y) => covered.some(o => x < o.x + o.width && o.x < x + width &&
+                                                         y < o.y + o.height && o.y < y + height),
+              hidesTitlebar = (x, y) => others.some(o => Math.abs(o.x - x) < step / 2 &&
+                                                         Math.abs(o.y - y) < step / 2);
+        let pos = null;
+
+        if (placement === 'cascade') {
+            const last = others[others.length - 1];
+
+            pos = (last) ? { x: last.x + step, y: last.y + step } : { x: area.left, y: area.top };
+        } else if (placement === 'center-owner') {
+            pos = owner && center(owner.getGeometry());
+        } else if (placement === 'cursor') {
+            pos = this.lastPress && this._getCursorPos(this.lastPress);
+        }
+
+        //the other placements fall back to the center of the area
+        let { x, y } = pos || center({ x: area.left, y: area.top, width: area.width, height: area.height });
+
+        if (placement === 'cascade' && (x > right || y > bottom)) {
+            //like the cascade command, the windows start again from the corner
+            x = area.left;
+            y = area.top;
+        }
+
+        x = Math.max(Math.min(x, right), area.left);
+        y = Math.max(Math.min(y, bottom), area.top);
+
+        //moves the position diagonally until it isn't taken, starting again
+        //from the corner of the area when it reaches the area's edges
+        const findFree = (isTaken, attempts) => {
+            let freeX = x, freeY = y;
+
+            for (let i = 0; i < attempts; i++) {
+                if (!isTaken(freeX, freeY)) {
+                    return { x: freeX, y: freeY };
+                }
+
+                freeX += step;
+                freeY += step;
+
+                if (freeX > right || freeY > bottom) {
+                    freeX = area.left;
+                    freeY = area.top;
+                }
+            }
+
+            return null;
+        };
+
+        const diagonalSteps = Math.floor(Math.max(right - area.left, bottom - area.top) / step) + 1,
+              free = (placement !== 'cascade') ? findFree(overlapsOther, 2 * diagonalSteps) : null;
+
+        return free || findFree(hidesTitlebar, others.length + 1) || { x, y };
+    }
+
+    /**
+     * Returns the lines that the edges of w snap to while it's moved or
+     * resized. Those are the edges of the area and the edges of the other
+     * windows that are displayed.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {module:rect/Bounds} area
+     * @returns {module:rect/SnapLines}
+     * @package
+     */
+    getSnapLines(w, area) {
+        const lines = {
+            vertical: [
+                { pos: area.left, start: -Infinity, end: Infinity },
+                { pos: area.left + area.width, start: -Infinity, end: Infinity }
+            ],
+            horizontal: [
+                { pos: area.top, start: -Infinity, end: Infinity },
+                { pos: area.top + area.height, start: -Infinity, end: Infinity }
+            ]
+        };
+
+        this._getStack()
+            .filter(other => other !== w && !other.isMinimizedToTaskbar && !this._isHiddenByOwner(other))
+            .forEach(other => {
+                const { x, y, width, height } = other.getGeometry();
+
+                lines.vertical.push({ pos: x, start: y, end: y + height },
+                                    { pos: x + width, start: y, end: y + height });
+                lines.horizontal.push({ pos: y, start: x, end: x + width },
+                                      { pos: y + height, start: x, end: x + width });
+            });
+
+        return lines;
+    }
+
+    /**
+     * Moves and resizes w to the given geometry, after restoring it
+     * if it's maximized. Windows stay within their minimum and maximum
+     * size, and they're moved back inside their boundary if they have one.
+     * Windows that the user can't move or resize keep their position
+     * or their size.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {{x: number, y: number, width: number, height: number}} geometry
+     * @private
+     */
+    _arrangeWindow(w, geometry) {
+        if (w.isMaximized) {
+            w.handleSystemCommand(systemCommands.restore);
+        }
+
+        const current = w.getGeometry(),
+              { x, y } = (w.isSystemCommandEnabled(systemCommands.move)) ? geometry : current,
+              { width, height } = (w.isSystemCommandEnabled(systemCommands.size)) ? geometry : current;
+
+        w.setGeometry({ x, y, width, height });
+        w.fitInBoundary();
+    }
+
+    /**
+     * Arranges the windows so that they overlap diagonally, with the
+     * window on the top of the stack in front, and their titlebars visible.
+     * @package
+     */
+    cascade() {
+        const bounds = this.getWorkArea(),
+              step = WindowManager.cascadeStep,
+              width = Math.round(bounds.width * 3 / 4),
+              height = Math.round(bounds.height * 3 / 4),
+              //the windows start again from the corner, once they reach the edges
+              steps = Math.floor(Math.min(bounds.width - width, bounds.height - height) / step) + 1;
+
+        this._getArrangeableWindows()
+            .reverse()
+            .forEach((w, i) => {
+                const offset = (i % Math.max(steps, 1)) * step;
+
+                this._arrangeWindow(w, {
+                    x: bounds.left + offset,
+                    y: bounds.top + offset,
+                    width,
+                    height
+                });
+            });
+    }
+
+    /**
+     * Arranges the windows one above the other, so that each one takes
+     * the whole width of the bounds. The window on the top of the stack
+     * is placed first.
+     * @package
+     */
+    tileHorizontally() {
+        this._tile(false);
+    }
+
+    /**
+     * Arranges the windows side by side, so that each one takes the whole
+     * height of the bounds. The window on the top of the stack is placed first.
+     * @package
+     */
+    tileVertically() {
+        this._tile(true);
+    }
+
+    /**
+     * Tiles the windows in rows, or in columns if vertical is true.
+     * If the windows can't fit in a single row or column without becoming
+     * smaller than their minimum size, they're split into more of them,
+     * like a grid.
+     * @param {boolean} vertical
+     * @private
+     */
+    _tile(vertical) {
+        const bounds = this.getWorkArea(),
+              windows = this._getArrangeableWindows(),
+              //the main axis is the one that the windows are lined up on
+              mainSize = (vertical) ? bounds.width : bounds.height,
+              crossSize = (vertical) ? bounds.height : bounds.width,
+              minMainSize = Math.max(0, ...windows.map(w => {
+                  const size = w.getMinimumSize();
+
+                  return (vertical) ? size.width : size.height;
+              })),
+              perLine = Math.max(1, Math.min(windows.length,
+                                             Math.floor(mainSize / Math.max(minMainSize, 1)))),
+              lines = Math.ceil(windows.length / perLine),
+              lineSize = Math.floor(crossSize / lines);
+
+        windows.forEach((w, i) => {
+            const line = Math.floor(i / perLine),
+                  //the last line takes the whole main axis, even if it has fewer windows
+                  count = Math.min(perLine, windows.length - line * perLine),
+                  size = Math.floor(mainSize / count),
+                  main = (i - line * perLine) * size,
+                  cross = line * lineSize;
+
+            this._arrangeWindow(w, (vertical) ? {
+                x: bounds.left + main,
+                y: bounds.top + cross,
+                width: size,
+                height: lineSize
+            } : {
+                x: bounds.left + cross,
+                y: bounds.top + main,
+                width: lineSize,
+                height: size
+            });
+        });
+    }
+
+    /**
+     * Lines up the minimized windows along the bottom edge of the bounds,
+     * from left to right, in rows that start from the bottom.
+     * @package
+     */
+    arrangeIcons() {
+        const bounds = this.getBounds(),
+              right = bounds.left + bounds.width;
+        let x = bounds.left,
+            bottom = bounds.top + bounds.height,
+            rowHeight = 0;
+
+        this._getDockedWindows().forEach(w => {
+            const { width, height } = w.getGeometry();
+
+            if (x > bounds.left && x + width > right) {
+                x = bounds.left;
+                bottom -= rowHeight;
+                rowHeight = 0;
+            }
+
+            w.setGeometry({ x, y: bottom - height });
+            x += width;
+            rowHeight = Math.max(rowHeight, height);
+        });
+    }
+
+    /**
+     * Moves the minimized window w to the first position along the bottom
+     * edge of the bounds, that isn't taken by another minimized window.
+     * Is called by the windows of an MDI client after they're minimized.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    dockWindow(w) {
+        const bounds = this.getBounds(),
+              right = bounds.left + bounds.width,
+              { width, height } = w.getGeometry(),
+              others = this._getDockedWindows()
+                           .filter(other => other !== w)
+                           .map(other => other.getGeometry()),
+              overlaps = (x, y) => others.find(o => x < o.x + o.width && o.x < x + width &&
+                                                   y < o.y + o.height && o.y < y + height);
+
+        for (let y = bounds.top + bounds.height - height; y >= bounds.top; y -= height) {
+            let x = bounds.left;
+
+            while (x === bounds.left || x + width <= right) {
+                const other = overlaps(x, y);
+
+                if (!other) {
+                    w.setGeometry({ x, y });
+                    return;
+                }
+
+                x = other.x + other.width;
+            }
+        }
+
+        //every position is taken, so the window is stacked on the first one
+        w.setGeometry({ x: bounds.left, y: bounds.top + bounds.height - height });
+    }
+
+    /**
+     * Opens the system menu of w at the given position. Is called when
+     * the taskbar button of w is right-clicked, or when the icon of w is
+     * clicked on the menu bar of an MDI client.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {module:cursor/CursorPos} position
+     * @package
+     */
+    openSystemMenuAt(w, position) {
+        if (this._isRegistered(w) && !this._isBlocked(w)) {
+            this._openSystemMenu(w.id, position);
+        }
+    }
+
+    /**
+     * Brings w to the top of the stack with focus. Is called when the
+     * keyboard focus moves into w, e.g. with the Tab key.
+     * If a modal window blocks w, the keyboard focus goes back to the
+     * modal window instead, and its titlebar flashes.
+     * @param {module:dialog/Win32Dialog} w
+     * @package
+     */
+    focusWindow(w) {
+        if (!this._isRegistered(w) || this.focusedWindow === w) {
+            return;
+        }
+
+        if (this._isBlocked(w)) {
+            const modal = this._getTopModal();
+
+            modal.flashTitlebar();
+            modal.focusContent();
+            return;
+        }
+
+        this._bringWindowToTop(w.id);
+    }
+
+    _startListening() {
+        const names = this.pointerEventNames;
+
+        window.addEventListener(names.move, this._onMouseMove, true);
+        window.addEventListener(names.up, this._onMouseUp, true);
+        window.addEventListener(names.down, this._onMouseDown, true);
+        window.addEventListener('click', this._onClick, true);
+        window.addEventListener('dblclick', this._onDoubleClick, true);
+        window.addEventListener('keydown', this._onKeyDown, true);
+        window.addEventListener('keyup', this._onKeyUp, true);
+        window.addEventListener('resize', this._onResize, false);
+
+        if (this.pointerEvents) {
+            window.addEventListener('pointercancel', this._onPointerCancel, true);
+            window.addEventListener('touchmove', this._onTouchMove, { capture: true, passive: false });
+        }
+    }
+
+    _stopListening() {
+        const names = this.pointerEventNames;
+
+        window.removeEventListener(names.move, this._onMouseMove, true);
+        window.removeEventListener(names.up, this._onMouseUp, true);
+        window.removeEventListener(names.down, this._onMouseDown, true);
+        window.removeEventListener('click', this._onClick, true);
+        window.removeEventListener('dblclick', this._onDoubleClick, true);
+        window.removeEventListener('keydown', this._onKeyDown, true);
+        window.removeEventListener('keyup', this._onKeyUp, true);
+        window.removeEventListener('resize', this._onResize, false);
+
+        if (this.pointerEvents) {
+            window.removeEventListener('pointercancel', this._onPointerCancel, true);
+            window.removeEventListener('touchmove', this._onTouchMove, { capture: true, passive: false });
+        }
+    }
+
+    /**
+     * Returns true if ev is a pointer event from a different pointer
+     * than the one that is pressed on the active window.
+     * @param {Event} ev
+     * @private
+     */
+    _isOtherPointer(ev) {
+        return this.activePointerId !== NO_VALUE &&
+               ev.pointerId !== undefined &&
+               ev.pointerId !== this.activePointerId;
+    }
+
+    /**
+     * Resets the state of the pointer that was pressed on the active window.
+     * @private
+     */
+    _releasePointer() {
+        this.longPressTimer.cancel();
+        this.longPressPos = null;
+        this.activePointerId = NO_VALUE;
+        this.activeWindow = null;
+        this.moveAction = this._defaultMouseMove;
+    }
+
+    /**
+     * Bring the window with the given id to the top of the stack, together
+     * with the rest of its family (its owners and their owned windows),
+     * and change the z-indexes of the other windows accordingly.
+     * Within the family, owned windows are always stacked above their owners,
+     * and the window is stacked above the windows that have the same
+     * number of owners as itself.
+     * Modeless windows can't be raised above the modal windows, so if there
+     * are any, they're brought right below them instead.
+     * The window gets focus, unless a modal window blocks it.
+     * @param {string} id
+     * @private
+     */
+    _bringWindowToTop(id) {
+        const topWindow = this._getWindow(id),
+              root = this._getRootOwner(topWindow),
+              stack = this._getStack(),
+              isFamily = w => this._getRootOwner(w) === root,
+              byDepth = [];
+
+        //group the family by the number of owners of each window, while
+        //keeping their order in the stack, except for the raised window
+        //which goes last in its group
+        stack.filter(w => w !== topWindow && isFamily(w))
+             .concat(topWindow)
+             .forEach(w => {
+                 const depth = this._getOwnerDepth(w);
+
+                 byDepth[depth] = (byDepth[depth] || []).concat(w);
+             });
+
+        const family = [].concat(...byDepth.filter(group => group)),
+              others = stack.filter(w => !isFamily(w)),
+              isModal = w => w.isModal,
+              isModeless = w => !w.isModal;
+
+        this._restack(others.filter(isModeless)
+                            .concat(family.filter(isModeless),
+                                    others.filter(isModal),
+                                    family.filter(isModal)));
+
+        if (!this._isBlocked(topWindow)) {
+            this._setFocusedWindow(topWindow);
+        }
+    }
+
+    /**
+     * Replaces the stack of windows with the new_stack array, and
+     * updates the z-indexes of the windows that changed position.
+     * @param {Array} new_stack The windows that are registered to this
+     * window manager, in the order they should be stacked.
+     * @private
+     */
+    _restack(new_stack) {
+        const old_stack = this.stack;
+
+        this.stack = new_stack.map(w => w.id);
+
+        new_stack.forEach((w, i) => {
+            if (old_stack[i] !== w.id) {
+                w.updateWindowZIndex(i);
+            }
+        });
+
+        if (this.stack.length !== old_stack.length ||
+            this.stack.some((id, i) => id !== old_stack[i])) {
+            this._notify();
+        }
+    }
+
+    /**
+     * Sets the global cursor to the default, if it's not already
+     * set to the default.
+     * @private
+     */
+    _resetCursor() {
+        if (this.currCursor !== cursorState.regular) {
+            setGlobalCursorStyle(cursorState.regular, this.currCursor);
+            this.currCursor = cursorState.regular;
+        }
+    }
+
+    /**
+     * Closes the open tooltip, if there is one, and cancels all
+     * tooltip timers.
+     * @private
+     */
+    _resetTooltip = () => {
+        this.showTooltipTimer.cancel();
+        this.closeTooltipTimer.cancel();
+
+        if (this.windowWithVisibleTooltip !== null) {
+            this._getWindow(this.windowWithVisibleTooltip).closeTooltip();
+            this.windowWithVisibleTooltip = null;
+        }
+    }
+
+    /**
+     * Shows the tooltip and starts the timer that will close it.
+     * @private
+     */
+    _showTooltip = (id) => {
+        const win = this._getWindow(id);
+
+        if (win && win.showTooltip(this.cursorPos, this.stack.length)) {
+            this.windowWithVisibleTooltip = id;
+            this.closeTooltipTimer.start();
+        }
+    }
+
+    /**
+     * Opens the system menu of the window with the given id.
+     * @param {string} id
+     * @param {module:cursor/CursorPos} position The menu's upper left
+     * corner. If it's undefined, the menu opens right below the window's
+     * titlebar icon.
+     * @private
+     */
+    _openSystemMenu(id, position) {
+        const win = this._getWindow(id);
+
+        this.closeSystemMenu();
+        this._resetTooltip();
+
+        //the menu is drawn above every window and tooltip
+        win.openSystemMenu(position || win.getSystemMenuAnchor(), this.stack.length + 1);
+        this.windowWithOpenMenu = id;
+    }
+
+    /**
+     * Closes the open system menu, if there is one.
+     * @package
+     */
+    closeSystemMenu() {
+        if (this.windowWithOpenMenu !== null) {
+            this._getWindow(this.windowWithOpenMenu).closeSystemMenu();
+            this.windowWithOpenMenu = null;
+        }
+    }
+
+    /**
+     * Starts moving or resizing the w window without a mouse button being
+     * held down, like the Move and Size commands of the system menu do.
+     * The window follows the mouse pointer, and the arrow keys move the
+     * window or resize it by WindowManager.keyboardStep pixels.
+     * Enter or a mouse click end the operation, and Escape reverts the
+     * window to the geometry it had before the operation started.
+     * @param {module:dialog/Win32Dialog} w
+     * @param {number} tracking_type cursorState.move to move the window, or
+     * any of the resize states to resize it from that edge.
+     * @package
+     */
+    startTrackingMode(w, tracking_type) {
+        if (!this._isRegistered(w)) {
+            return;
+        }
+
+        this.closeSystemMenu();
+        this._resetTooltip();
+
+        this.activeWindow = w.id;
+        this.trackingType = tracking_type;
+        this.trackingStarted = false;
+        this.trackingEdgeSelected = false;
+        this.trackingGeometry = w.getGeometry();
+        this.moveAction = this._trackWindow;
+
+        setGlobalCursorStyle(tracking_type, this.currCursor);
+        this.currCursor = tracking_type;
+    }
+
+    /**
+     * Is called when there's a mouse move event while the active window
+     * is moved or resized from its system menu.
+     * The first mouse move event only stores the cursor's offset, so that
+     * the window follows the pointer from wherever it is.
+     * @private
+     */
+    _trackWindow(ev) {
+        const win = this._getWindow(this.activeWindow),
+              cursor_pos = this._getCursorPos(ev);
+
+        if (!this.trackingStarted) {
+            this.trackingStarted = true;
+
+            if (this.trackingType === cursorState.move) {
+                win.setupCursorOffset(cursor_pos);
+            } else {
+                win.setupCursorOffset(cursor_pos, this.trackingType);
+            }
+        } else if (this.trackingType === cursorState.move) {
+            win.updateWindowPosition(cursor_pos);
+        } else {
+            win.updateWindowSize(cursor_pos, this.trackingType);
+        }
+    }
+
+    /**
+     * Moves the active window, or resizes it from the selected edges, by
+     * the given offsets. Is called when an arrow key is pressed while
+     * the window is moved or resized from its system menu.
+     * @param {number} dx
+     * @param {number} dy
+     * @private
+     */
+    _trackWindowByStep(dx, dy) {
+        const win = this._getWindow(this.activeWindow),
+              { x, y, width, height } = win.getGeometry(),
+              type = this.trackingType;
+
+        //the offsets are reset so that the cursor positions below are
+        //used as-is, and the next mouse move has to store them again
+        win.setupCursorOffset();
+        this.trackingStarted = false;
+
+        if (type === cursorState.move) {
+            win.updateWindowPosition({ x: x + dx, y: y + dy });
+            return;
+        }
+
+        const onLeft = [cursorState.left, cursorState.topleft, cursorState.bottomleft].includes(type),
+              onTop = [cursorState.top, cursorState.topleft, cursorState.topright].includes(type);
+
+        win.updateWindowSize({
+            x: ((onLeft) ? x : x + width) + dx,
+            y: ((onTop) ? y : y + height) + dy
+        }, type);
+    }
+
+    /**
+     * Returns the resize state that combines the current resize
+     * state of a keyboard resize, with the edge of an arrow key.
+     * For example, the right edge combined with the bottom edge
+     * gives the bottom right corner.
+     * @param {number} type Value from the cursorState object.
+     * @param {number} edge The edge of the arrow key.
+     * @private
+     */
+    _combineResizeEdges(type, edge) {
+        const horizontal = [cursorState.left, cursorState.right],
+              vertical = [cursorState.top, cursorState.bottom],
+              hasLeft = [cursorState.left, cursorState.topleft, cursorState.bottomleft].includes(type),
+              hasRight = [cursorState.right, cursorState.topright, cursorState.bottomright].includes(type),
+              hasTop = [cursorState.top, cursorState.topleft, cursorState.topright].includes(type),
+              hasBottom = [cursorState.bottom, cursorState.bottomleft, cursorState.bottomright].includes(type);
+
+        let left = hasLeft, right = hasRight, top = hasTop, bottom = hasBottom;
+
+        //an arrow key only selects its edge, if the opposite
+        //edge isn't already selected
+        if (horizontal.includes(edge) && !hasLeft && !hasRight) {
+            left = edge === cursorState.left;
+            right = edge === cursorState.right;
+        } else if (vertical.includes(edge) && !hasTop && !hasBottom) {
+            top = edge === cursorState.top;
+            bottom = edge === cursorState.bottom;
+        }
+
+        if (top) {
+            return (left) ? cursorState.topleft : (right) ? cursorState.topright : cursorState.top;
+        } else if (bottom) {
+            return (left) ? cursorState.bottomleft : (right) ? cursorState.bottomright : cursorState.bottom;
+        }
 
-        setGlobalCursorStyle(this.currCursor);
+        return (left) ? cursorState.left : cursorState.right;
     }
 
     /**
-     * Registers the window w to this window manager instance, and
-     * brings it to the top of the window stack with focus.
-     * If the array doesn't have any empty positions (possibly from
-     * other windows that unregistered), then we change the array's
-     * size by pushing the window on the last position.
-     * @param {module:dialog/Win32Dialog} w
-     * @param {boolean} checkInheritance
-     * @package
+     * Handles the keys that are pressed while the active window is moved
+     * or resized from its system menu.
+     * @returns {boolean} True if the key was handled.
+     * @private
      */
-    registerWindow(w, checkInheritance = false) {
-        if (!checkInheritance /*|| DialogInterface.implements(w)*/) {
+    _handleTrackingKey(ev) {
+        const step = (ev.ctrlKey) ? 1 : WindowManager.keyboardStep;
+        let edge = WindowManager.arrowEdges[ev.key];
+
+        switch (ev.key) {
+        case 'Enter':
+            this._endTracking();
+            return true;
+        case 'Escape':
+        case 'Esc':
+            this._endTracking(false);
+            return true;
+        }
 
-            if (this.windows.length === this.zIndexTop) {
-                this.windows.push(w);
-            } else {
-                this.windows[this.zIndexTop] = w;
-            }
+        if (edge === undefined) {
+            return false;
+        }
 
-            w.updateWindowFocus(true);
-            w.updateWindowZIndex(this.zIndexTop);
+        if (this.trackingType !== cursorState.move) {
+            //the first arrow key selects the edge that is resized, and the
+            //ones after that might extend it to a corner
+            const type = (this.trackingEdgeSelected) ?
+                this._combineResizeEdges(this.trackingType, edge) : edge;
 
-            if (this.zIndexTop > 0) {
-                this.windows[this.zIndexTop - 1].updateWindowFocus(false);
-            } else {
-                this._startListening();
+            this.trackingEdgeSelected = true;
+
+            if (type !== this.trackingType) {
+                setGlobalCursorStyle(type, this.currCursor);
+                this.currCursor = this.trackingType = type;
             }
+        }
 
-            return this.zIndexTop++;
+        switch (edge) {
+        case cursorState.left:
+            this._trackWindowByStep(-step, 0);
+            break;
+        case cursorState.right:
+            this._trackWindowByStep(step, 0);
+            break;
+        case cursorState.top:
+            this._trackWindowByStep(0, -step);
+            break;
+        case cursorState.bottom:
+            this._trackWindowByStep(0, step);
+            break;
         }
 
-        console.log(`WindowManager.registerWindow error: Invalid window argument '${w}'.`);
-        return NO_VALUE;
+        return true;
+    }
+
+    /**
+     * Stops moving or resizing the active window from its system menu.
+     * @param {boolean} commit If false, the window is reverted back to
+     * the geometry it had before the operation started.
+     * @private
+     */
+    _endTracking(commit = true) {
+        const win = this._getWindow(this.activeWindow);
+
+        if (!commit) {
+            win.setGeometry(this.trackingGeometry);
+        } else if (this.trackingType === cursorState.move) {
+            win.fixOffScreenMove();
+        }
+
+        this.trackingGeometry = null;
+        this.trackingType = NO_VALUE;
+        this.activeWindow = null;
+        this.moveAction = this._defaultMouseMove;
+        this._resetCursor();
     }
 
     /**
-     * If the zIndex window is registered to this window manager, then
-     * bring it to the top and remove it from the listener array.
-     * Note that the listener array size _doesn't_ change (it doesn't get
-     * smaller). The array remains the same but the zIndexTop property goes
-     * down.
-     * @param {number} zIndex
+     * Waits for the user to click on an element of the w window, like the
+     * help button of a classic dialog does. The cursor has a question
+     * mark until the next click.
+     * @param {module:dialog/Win32Dialog} w
      * @package
      */
-    unregisterWindow(zIndex) {
-        if (zIndex >= 0 && zIndex < this.zIndexTop) {
+    startHelpMode(w) {
+        if (!this._isRegistered(w)) {
+            return;
+        }
 
-            this._bringWindowToTop(zIndex);
+        this.closeSystemMenu();
+        this._resetTooltip();
 
-            this.windows[--this.zIndexTop] = null;
+        this.helpWindow = w.id;
+        w.setHelpMode(true);
 
-            if (this.zIndexTop) {
-                this.windows[this.zIndexTop - 1].updateWindowFocus(true);
-            } else {
-                this._stopListening();
-            }
-        } else {
-            console.log(`WindowManager.unregisterWindow error: Invalid zIndex argument '${zIndex}'.`);
+        setGlobalCursorStyle(cursorState.help, this.currCursor);
+        this.currCursor = cursorState.help;
+    }
+
+    /**
+     * Ends the help mode of the help window.
+     * @param {?HTMLElement} element The element that the user clicked for
+     * help, or null if the help mode was cancelled.
+     * @private
+     */
+    _endHelpMode(element) {
+        const win = this._getWindow(this.helpWindow);
+
+        this.helpWindow = null;
+        this._resetCursor();
+        win.setHelpMode(false);
+
+        if (element) {
+            win.showHelp(element);
         }
     }
 
-    _startListening() {
-        window.addEventListener('mousemove', this._onMouseMove, true);
-        window.addEventListener('mouseup', this._onMouseUp, true);
-        window.addEventListener('mousedown', this._onMouseDown, true);
-        window.addEventListener('dblclick', this._onDoubleClick, true);
-        window.addEventListener('resize', this._onResize, false);
+    /**
+     * Returns true if the keyboard event ev was caused by the switchHotkey
+     * combination, with or without the Shift key.
+     * @param {Event} ev
+     * @private
+     */
+    _isSwitchHotkey(ev) {
+        return this._isHotkey(ev, this.switchHotkey);
     }
 
-    _stopListening() {
-        window.removeEventListener('mousemove', this._onMouseMove, true);
-        window.removeEventListener('mouseup', this._onMouseUp, true);
-        window.removeEventListener('mousedown', this._onMouseDown, true);
-        window.removeEventListener('dblclick', this._onDoubleClick, true);
-        window.removeEventListener('resize', this._onResize, false);
+    /**
+     * Returns true if the keyboard event ev was caused by the given key
+     * combination, with or without the Shift key, unless shiftKey is part
+     * of the combination.
+     * @param {Event} ev
+     * @param {?Object} hotkey
+     * @private
+     */
+    _isHotkey(ev, hotkey) {
+        return !!hotkey && !!ev.key &&
+               ev.key.toLowerCase() === hotkey.key.toLowerCase() &&
+               !!ev.altKey === !!hotkey.altKey &&
+               !!ev.ctrlKey === !!hotkey.ctrlKey &&
+               !!ev.metaKey === !!hotkey.metaKey &&
+               (!hotkey.shiftKey || !!ev.shiftKey);
     }
 
     /**
-     * Bring the zIndex window to the top of the stack
-     * and change the z-indexes of the other windows accordingly.
-     * @param {number} zIndex
+     * Returns true if any of the modifiers of the switchHotkey
+     * combination are held down during the keyboard event ev.
+     * @param {Event} ev
      * @private
      */
-    _bringWindowToTop(zIndex) {
-        const topZIndex = this.zIndexTop - 1;
-        let topWindow = this.windows[zIndex];
+    _isSwitchModifierDown(ev) {
+        const hotkey = this.switchHotkey;
 
-        for (let i = zIndex; i < topZIndex; i++) {
-            this.windows[i] = this.windows[i + 1];
-            this.windows[i + 1] = topWindow;
+        return !!((hotkey.altKey && ev.altKey) ||
+                  (hotkey.ctrlKey && ev.ctrlKey) ||
+                  (hotkey.metaKey && ev.metaKey));
+    }
 
-            this.windows[i].updateWindowZIndex(i);
-            this.windows[i].updateWindowFocus(false);
+    /**
+     * Returns true if w is hidden, because one of its owners is minimized.
+     * @param {module:dialog/Win32Dialog} w
+     * @private
+     */
+    _isHiddenByOwner(w) {
+        for (let owner = this._getRegisteredOwner(w); owner; owner = this._getRegisteredOwner(owner)) {
+            if (owner.isMinimized) {
+                return true;
+            }
         }
 
-        topWindow.updateWindowZIndex(topZIndex);
-        topWindow.updateWindowFocus(true);
+        return false;
     }
 
     /**
-     * Sets the global cursor to the default, if it's not already
-     * set to the default.
+     * Returns the windows that the user can switch to, ordered by
+     * how recently they had focus. Tool windows are left out.
      * @private
      */
-    _resetCursor() {
-        if (this.currCursor !== cursorState.regular) {
-            setGlobalCursorStyle(cursorState.regular, this.currCursor);
-            this.currCursor = cursorState.regular;
-        }
+    _getSwitchableWindows() {
+        const stack = this._getStack().reverse(),
+              neverFocused = stack.filter(w => this.focusHistory.indexOf(w) === -1);
+
+        return this.focusHistory.concat(neverFocused)
+                                .filter(w => !this._isHiddenByOwner(w) && !w.isToolWindow());
     }
 
     /**
-     * Closes the open tooltip, if there is one, and cancels all
-     * tooltip timers.
+     * Selects the next window to switch to, or the previous one if reverse
+     * is true. The first time it's called it lists the windows in the
+     * switcher overlay, which is rendered by the window that has focus.
+     * @param {boolean} reverse
      * @private
      */
-    _resetTooltip = () => {
-        this.showTooltipTimer.cancel();
-        this.closeTooltipTimer.cancel();
+    _switchWindow(reverse) {
+        if (!this.switchList) {
+            const list = this._getSwitchableWindows(),
+                  //a tool window with focus isn't in the list, so the
+                  //first window to switch to is the first one of the list
+                  hasFocused = list.indexOf(this.focusedWindow) !== -1;
+
+            if (list.length < ((hasFocused) ? 2 : 1)) {
+                return;
+            }
 
-        if (this.windowWithVisibleTooltip !== NO_VALUE) {
-            this.windows[this.windowWithVisibleTooltip].closeTooltip();
-            this.windowWithVisibleTooltip = NO_VALUE;
+            this.closeSystemMenu();
+            this._resetTooltip();
+
+            this.switchList = list;
+            this.switchSelected = (hasFocused || reverse) ? 0 : list.length - 1;
+            this.windowWithSwitcher = this.focusedWindow || list[0];
         }
+
+        const count = this.switchList.length;
+
+        this.switchSelected = (this.switchSelected + ((reverse) ? count - 1 : 1)) % count;
+
+        this.windowWithSwitcher.showSwitcher(
+            this.switchList.map(w => w.getCaption()),
+            this.switchSelected,
+            this.stack.length + 1
+        );
     }
 
     /**
-     * Shows the tooltip and starts the timer that will close it.
+     * Stops switching between the windows, and closes the switcher overlay.
+     * @param {boolean} commit If true, the selected window is brought to
+     * the top with focus, and it's restored if it was minimized.
      * @private
      */
-    _showTooltip = (zIndex) => {
-        if (this.windows[zIndex].showTooltip(this.cursorPos, this.zIndexTop)) {
-            this.windowWithVisibleTooltip = zIndex;
-            this.closeTooltipTimer.start();
+    _endSwitching(commit) {
+        if (!this.switchList) {
+            return;
+        }
+
+        const selected = this.switchList[this.switchSelected];
+
+        this.windowWithSwitcher.closeSwitcher();
+        this.switchList = null;
+        this.switchSelected = NO_VALUE;
+        this.windowWithSwitcher = null;
+
+        if (commit && this._isRegistered(selected)) {
+            if (selected.isMinimized) {
+                selected.handleSystemCommand(systemCommands.restore);
+            }
+
+            this._bringWindowToTop(selected.id);
         }
     }
 
@@ -335,15 +2129,15 @@ export default class WindowManager {
      * As point of reference I used the classic style windows in Windows 7.
      * @private
      */
-    _handleHoverOnWindow (ev, zIndex) {
+    _handleHoverOnWindow (ev, id) {
         //cache the current window's lookup
-        const win = this.windows[zIndex];
+        const win = this._getWindow(id);
 
         //store the current position of the cursor
-        this.cursorPos = getCursorPos(ev);
+        this.cursorPos = this._getCursorPos(ev);
 
         //get the position of the cursor relative to the window
-        let windowCursor = win.getCursorState(this.cursorPos);
+        let windowCursor = win.getCursorState(this.cursorPos, isTouchPointer(ev));
 
         //change the cursor's style, if it's hovering on any of the borders
         if (windowCursor !== this.currCursor) {
@@ -371,31 +2165,32 @@ export default class WindowManager {
                 //class will see that the cursor isn't hovering on any of the buttons,
                 //so it won't display the tooltip.
                 if (win.hoverTitlebarButton === NO_VALUE) {
-                    win.hoverTitlebarButton = titlebarButtons.maximize;
+                    win.hoverTitlebarButton = win.getTitlebarButtons()
+                                                 .findIndex(button => button.type === titlebarButtons.maximize);
                 }
 
-                if (this.windowWithVisibleTooltip === zIndex) {
+                if (this.windowWithVisibleTooltip === id) {
                     if (win.tooltipOnTitlebarButton !== win.hoverTitlebarButton) {
                         this._resetTooltip();
-                        this._showTooltip(zIndex);
+                        this._showTooltip(id);
                     }
                 } else {
                     this._resetTooltip();
-                    this.showTooltipTimer.start(zIndex);
+                    this.showTooltipTimer.start(id);
                 }
             } else if (win.isTitleOverflowing()) {
                 //second case where the pointer isn't above any of the titlebar
                 //buttons, and the window title isn't fully displayed (i.e.
                 //truncated due to the window's size being too small possibly)
 
-                if (this.windowWithVisibleTooltip === zIndex) {
+                if (this.windowWithVisibleTooltip === id) {
                     if (!win.tooltipOnTitle) {
                         this._resetTooltip();
-                        this._showTooltip(zIndex);
+                        this._showTooltip(id);
                     }
                 } else {
                     this._resetTooltip();
-                    this.showTooltipTimer.start(zIndex);
+                    this.showTooltipTimer.start(id);
                 }
 
             } else {
@@ -413,7 +2208,11 @@ export default class WindowManager {
      * @private
      */
     _moveWindow(ev) {
-        this.windows[this.activeWindow].updateWindowPosition(getCursorPos(ev));
+        const win = this._getWindow(this.activeWindow),
+              cursor_pos = this._getCursorPos(ev);
+
+        win.updateWindowPosition(cursor_pos);
+        win.updateDockPreview(cursor_pos);
     }
 
     /**
@@ -422,7 +2221,7 @@ export default class WindowManager {
      * @private
      */
     _resizeWindow(ev) {
-        this.windows[this.activeWindow].updateWindowSize(getCursorPos(ev), this.currCursor);
+        this._getWindow(this.activeWindow).updateWindowSize(this._getCursorPos(ev), this.currCursor);
     }
 
     /**
@@ -431,7 +2230,7 @@ export default class WindowManager {
      * @private
      */
     _titlebarButtonMouseMove() {
-        const win = this.windows[this.activeWindow];
+        const win = this._getWindow(this.activeWindow);
 
         if (win.hoverTitlebarButton !== this.pressedButton) {
             win.releaseTitlebarButton();
@@ -448,11 +2247,11 @@ export default class WindowManager {
     _defaultMouseMove(ev) {
         //check if the cursor is hovering over any of the windows
         //registered to this window manager
-        for (let i = 0; i < this.zIndexTop; i++) {
+        for (let id of this.stack) {
             //if we found a window that has the pointer on top
             //of it, then we return with the hover handler
-            if (this.windows[i].cursorOnWindow)
-                return this._handleHoverOnWindow(ev, i);
+            if (this._getWindow(id).cursorOnWindow)
+                return this._handleHoverOnWindow(ev, id);
         }
 
         //reset the tooltip and cursor states if the pointer isn't
@@ -468,6 +2267,26 @@ export default class WindowManager {
      * @private
      */
     _onMouseMove = (ev) => {
+        if (this._isOtherPointer(ev)) {
+            return;
+        }
+
+        if (this.longPressPos) {
+            const cursor_pos = this._getCursorPos(ev);
+
+            //the press turns into a drag if it moves too far
+            if (Math.abs(cursor_pos.x - this.longPressPos.x) > WindowManager.longPressSlop ||
+                Math.abs(cursor_pos.y - this.longPressPos.y) > WindowManager.longPressSlop) {
+                this.longPressTimer.cancel();
+                this.longPressPos = null;
+            }
+        }
+
+        //the help cursor stays until the next click
+        if (this.helpWindow !== null) {
+            return;
+        }
+
         this.moveAction(ev);
     }
 
@@ -475,47 +2294,175 @@ export default class WindowManager {
      * @private
      */
     _onMouseUp = (ev) => {
+        if (this._isOtherPointer(ev)) {
+            return;
+        }
 
         //handle left click mouseup events
         if (ev.button === 0) {
             if (this.moveAction === this._moveWindow) {
-                //in case the active window was moving
-                this.windows[this.activeWindow].fixOffScreenMove();
+                //in case the active window was moving, it's also docked
+                //if it was dropped on an edge of the screen
+                this._getWindow(this.activeWindow).fixOffScreenMove();
 
             } else if (this.moveAction === this._titlebarButtonMouseMove) {
                 //in case the active window had one of it's titlebar
-                //buttons clicked
-                const win = this.windows[this.activeWindow];
+                //buttons clicked. Disabled buttons ignore clicks.
+                const win = this._getWindow(this.activeWindow);
 
                 win.releaseTitlebarButton();
-                if (win.hoverTitlebarButton === this.pressedButton) {
-                    win.handleTitlebarButtonClick(this.pressedButton);
+                if (win.hoverTitlebarButton === this.pressedButton &&
+                    win.isTitlebarButtonEnabled(this.pressedButton)) {
+                    win.clickTitlebarButton(this.pressedButton);
                 }
             }
         } else if (ev.button === 2 && this.rightClickTitlebar) {
-            if (this.windows[this.activeWindow].cursorOnTitlebar)
-                console.log('Titlebar context menu not yet implemented :)');
+            if (this._getWindow(this.activeWindow).cursorOnTitlebar)
+                this._openSystemMenu(this.activeWindow, this._getCursorPos(ev));
             this.rightClickTitlebar = false;
             ev.preventDefault();
         }
 
-        this.activeWindow = NO_VALUE;
-        this.moveAction = this._defaultMouseMove;
+        this._releasePointer();
+
+        //touch and pen pointers don't keep hovering after they're lifted
+        if (isTouchPointer(ev)) {
+            this._resetCursor();
+        }
+    }
+
+    /**
+     * Handler that is called when the browser cancels a pointer, for example
+     * when a touch turns into a scroll gesture. The active window stays
+     * wherever it was moved, but a pressed titlebar button isn't clicked.
+     * @private
+     */
+    _onPointerCancel = (ev) => {
+        if (this._isOtherPointer(ev)) {
+            return;
+        }
+
+        if (this.moveAction === this._moveWindow) {
+            //a cancelled drag doesn't dock the window
+            const win = this._getWindow(this.activeWindow);
+
+            win.updateDockPreview(null);
+            win.fixOffScreenMove();
+        } else if (this.moveAction === this._titlebarButtonMouseMove) {
+            this._getWindow(this.activeWindow).releaseTitlebarButton();
+        }
+
+        this._releasePointer();
+        this._resetCursor();
+    }
+
+    /**
+     * Prevents touch input from scrolling the page while it's
+     * moving or resizing a window.
+     * @private
+     */
+    _onTouchMove = (ev) => {
+        if (this.moveAction === this._moveWindow || this.moveAction === this._resizeWindow) {
+            ev.preventDefault();
+        }
+    }
+
+    /**
+     * Is called when a touch or pen press on the titlebar is held down
+     * long enough. It opens the system menu of the window, like a right click.
+     * @private
+     */
+    _onLongPress = () => {
+        const id = this.activeWindow;
+
+        if (id === null) {
+            return;
+        }
+
+        if (this.moveAction === this._moveWindow) {
+            this._getWindow(id).updateDockPreview(null);
+            this._getWindow(id).fixOffScreenMove();
+        }
+
+        //the rest of the press doesn't move the window
+        this.moveAction = () => {};
+        this._openSystemMenu(id, this.longPressPos);
+        this.longPressPos = null;
     }
 
     /**
      * @private
      */
     _onMouseDown = (ev) => {
-        let win;
+        const topModal = this._getTopModal(),
+              isTouch = isTouchPointer(ev);
+        let win, clickedIcon = false, capturePointer = false;
+
+        this._endSwitching(false);
+
+        //a second finger can't take over the window that the first one pressed on
+        if (this.activePointerId !== NO_VALUE && this._isOtherPointer(ev)) {
+            ev.preventDefault();
+            return;
+        }
+
+        //the windows of a scoped manager are only placed at presses in its container
+        if (this._isInScope(ev)) {
+            this.lastPress = { clientX: ev.clientX, clientY: ev.clientY };
+        }
 
         this._resetTooltip();
 
-        for (let i = 0; i < this.zIndexTop; i++) {
-            win = this.windows[i];
+        //the click after the help button asks for help on the element
+        //that it lands on, instead of reaching that element
+        this.blockNextClick = false;
+        if (this.helpWindow !== null) {
+            const win = this._getWindow(this.helpWindow);
+
+            this._endHelpMode((ev.button === 0 && !win.cursorOnTitlebar) ? ev.target : null);
+            this.blockNextClick = true;
+            ev.preventDefault();
+            return;
+        }
+
+        //any click ends the move/resize that started from the system menu
+        if (this.trackingType !== NO_VALUE) {
+            this._endTracking();
+            ev.preventDefault();
+            return;
+        }
+
+        if (this.windowWithOpenMenu !== null) {
+            //clicks on the menu itself are handled by the menu's items
+            if (this._getWindow(this.windowWithOpenMenu).cursorOnSystemMenu) {
+                return;
+            }
+
+            this.closeSystemMenu();
+        }
+
+        //clicks on the taskbars and menu bars are handled by their buttons
+        if (this.cursorOnTaskbar || this.cursorOnMenuBar) {
+            return;
+        }
 
+        for (win of this._getStack()) {
             if (win.cursorOnWindow) {
 
+                if (topModal !== null && win !== topModal) {
+                    //the modal window blocks input to all the windows below it
+                    break;
+                }
+
+                if (isTouch) {
+                    //pointers that can't hover, don't update the cursor
+                    //before they're pressed
+                    const windowCursor = win.getCursorState(this._getCursorPos(ev), true);
+
+                    setGlobalCursorStyle(windowCursor, this.currCursor);
+                    this.currCursor = windowCursor;
+                }
+
                 if (ev.button === 0) {
                     if (this.currCursor === cursorState.regular) {
 
@@ -523,10 +2470,22 @@ export default class WindowManager {
                             if (win.cursorOnTitlebarButtons) {
                                 this.pressedButton = win.pushTitlebarButton();
                                 this.moveAction = this._titlebarButtonMouseMove;
+                            } else if (win.cursorOnTitlebarIcon) {
+                                //clicking the titlebar icon opens the system menu
+                                clickedIcon = true;
+                                this.moveAction = () => {};
                             } else {
-                                if (!win.isMaximized) {
+                                //maximized windows and windows that aren't
+                                //movable stay where they are
+                                if (win.isSystemCommandEnabled(systemCommands.move)) {
                                     this.moveAction = this._moveWindow;
-                                    win.setupCursorOffset(getCursorPos(ev));
+                                    win.setupCursorOffset(this._getCursorPos(ev));
+                                    capturePointer = true;
+                                }
+
+                                if (isTouch) {
+                                    this.longPressPos = this._getCursorPos(ev);
+                                    this.longPressTimer.start();
                                 }
                             }
                         }
@@ -534,7 +2493,8 @@ export default class WindowManager {
                     } else {
                         if (!win.isMaximized && !win.isMinimized) {
                             this.moveAction = this._resizeWindow;
-                            win.setupCursorOffset(getCursorPos(ev), this.currCursor);
+                            win.setupCursorOffset(this._getCursorPos(ev), this.currCursor);
+                            capturePointer = true;
                         }
                     }
                 } else if (ev.button === 2) {
@@ -544,24 +2504,53 @@ export default class WindowManager {
                     }
                 }
 
-                this.activeWindow = i;
+                this.activeWindow = win.id;
 
                 break;
             }
         }
 
-        if (this.activeWindow !== NO_VALUE) {
+        if (topModal !== null && this.activeWindow === null && this._isInScope(ev)) {
+            //the user clicked outside of the modal window, so we
+            //flash its titlebar to draw their attention to it
+            topModal.flashTitlebar();
+            ev.preventDefault();
+        } else if (this.activeWindow !== null) {
             this._bringWindowToTop(this.activeWindow);
-            this.activeWindow = this.zIndexTop - 1;
+
+            if (clickedIcon) {
+                this._openSystemMenu(this.activeWindow);
+            }
         } else {
-            //notice that in the event handlers I'm not doing array boundary
-            //checks when I use this.zIndexTop, because the event handlers are
-            //only called when there is at least one visible window on screen.
-            this.windows[this.zIndexTop - 1].updateWindowFocus(false);
+            this._setFocusedWindow(null);
+        }
+
+        if (this.moveAction !== this._defaultMouseMove) {
+            ev.preventDefault();
+
+            if (ev.pointerId !== undefined) {
+                this.activePointerId = ev.pointerId;
+
+                //the window keeps getting the pointer's events even if
+                //the pointer moves faster than the window
+                if (capturePointer && ev.target.setPointerCapture) {
+                    ev.target.setPointerCapture(ev.pointerId);
+                }
+            }
         }
+    }
 
-        if (this.moveAction !== this._defaultMouseMove)
+    /**
+     * Handler that is called on the click event. It stops the click
+     * that ended the help mode.
+     * @private
+     */
+    _onClick = (ev) => {
+        if (this.blockNextClick) {
+            this.blockNextClick = false;
+            ev.stopPropagation();
             ev.preventDefault();
+        }
     }
 
     /**
@@ -576,38 +2565,183 @@ export default class WindowManager {
             return;
         }
 
-        let topWin = this.windows[this.zIndexTop - 1];
+        //the window that was clicked got focus on mousedown
+        const win = this.focusedWindow;
 
-        if (topWin.cursorOnTitlebar && !topWin.cursorOnTitlebarButtons) {
+        if (win && win.cursorOnTitlebar && !win.cursorOnTitlebarButtons &&
+            win.hasTitlebarButton(titlebarButtons.maximize)) {
             this._resetCursor();
-            topWin.handleTitlebarButtonClick(titlebarButtons.maximize);
+            win.handleTitlebarButtonClick(titlebarButtons.maximize);
         }
     }
 
     /**
-     * Handler that is called when the viewport is resized.
+     * Handler that is called on the keydown event.
+     * While a window is moved or resized from its system menu, it handles
+     * the arrow keys, Enter and Escape.
+     * While a system menu is open, it handles the menu's keyboard navigation.
+     * Escape also cancels the help mode.
+     * Otherwise it handles the Alt+Space (open the system menu), Alt+F4 (close),
+     * Alt+F7 (move) and Alt+F8 (size) shortcuts of the window that has focus.
      * @private
      */
-    _onResize = () => {
-        let topWin = this.windows[this.zIndexTop - 1];
+    _onKeyDown = (ev) => {
+        if (this.trackingType === NO_VALUE && this.windowWithOpenMenu === null &&
+            this.helpWindow === null && !this.switchList && !this._hasKeyboardScope()) {
+            return;
+        }
+
+        if (this.switchList) {
+            if (this._isSwitchHotkey(ev)) {
+                this._switchWindow(!!ev.shiftKey && !this.switchHotkey.shiftKey);
+            } else if (ev.key === 'Escape' || ev.key === 'Esc') {
+                this._endSwitching(false);
+            } else if (!this._isSwitchModifierDown(ev)) {
+                //the modifiers were released while the page didn't get the keyup event
+                this._endSwitching(true);
+                return;
+            }
+
+            ev.preventDefault();
+            return;
+        }
+
+        if (this.helpWindow !== null && (ev.key === 'Escape' || ev.key === 'Esc')) {
+            this._endHelpMode(null);
+            ev.preventDefault();
+            return;
+        }
+
+        if (this.trackingType !== NO_VALUE) {
+            if (this._handleTrackingKey(ev)) {
+                ev.preventDefault();
+            }
+            return;
+        }
+
+        if (this.windowWithOpenMenu !== null) {
+            const menuWin = this._getWindow(this.windowWithOpenMenu);
+
+            switch (ev.key) {
+            case 'ArrowDown':
+            case 'Down':
+                menuWin.moveSystemMenuSelection(1);
+                break;
+            case 'ArrowUp':
+            case 'Up':
+                menuWin.moveSystemMenuSelection(-1);
+                break;
+            case 'Enter':
+                menuWin.activateSystemMenuItem();
+                break;
+            case 'Escape':
+            case 'Esc':
+                this.closeSystemMenu();
+                break;
+            default:
+                if (!menuWin.activateSystemMenuMnemonic(ev.key)) {
+                    return;
+                }
+                break;
+            }
+
+            ev.preventDefault();
+            return;
+        }
+
+        if (this._isSwitchHotkey(ev)) {
+            const topModal = this._getTopModal();
+
+            if (topModal !== null) {
+                //the modal window has to be closed first
+                topModal.flashTitlebar();
+            } else {
+                this._switchWindow(!!ev.shiftKey && !this.switchHotkey.shiftKey);
+
+                //without modifiers, there's no key to release, so the
+                //selected window gets focus right away
+                if (!this._isSwitchModifierDown(ev)) {
+                    this._endSwitching(true);
+                }
+            }
+
+            ev.preventDefault();
+            return;
+        }
+
+        const win = this.focusedWindow;
+
+        if (win && this._isHotkey(ev, this.closeHotkey)) {
+            if (win.isSystemCommandEnabled(systemCommands.close)) {
+                win.requestClose();
+            }
+            ev.preventDefault();
+            return;
+        }
+
+        if (!win || !ev.altKey) {
+            return;
+        }
+
+        if (ev.key === ' ' || ev.key === 'Spacebar') {
+            this._openSystemMenu(win.id);
+            ev.preventDefault();
+        } else if (ev.key === 'F4') {
+            if (win.isSystemCommandEnabled(systemCommands.close)) {
+                win.requestClose();
+            }
+            ev.preventDefault();
+        } else if (ev.key === 'F7' || ev.key === 'F8') {
+            const command = (ev.key === 'F7') ? systemCommands.move : systemCommands.size;
+
+            if (win.isSystemCommandEnabled(command)) {
+                win.handleSystemCommand(command);
+            }
+            ev.preventDefault();
+        }
+    }
 
-        if (topWin.isMaximized) {
-            topWin.maximize();
+    /**
+     * Handler that is called on the keyup event. Releasing the modifiers
+     * of the switchHotkey combination switches to the selected window.
+     * @private
+     */
+    _onKeyUp = (ev) => {
+        if (this.switchList && !this._isSwitchModifierDown(ev)) {
+            this._endSwitching(true);
         }
     }
 
+    /**
+     * Handler that is called when the viewport is resized.
+     * @private
+     */
+    _onResize = () => {
+        this._getStack().forEach(w => {
+            if (w.isMaximized) {
+                w.maximize();
+            } else {
+                //the viewport, or the element that bounds the window,
+                //might have gotten smaller
+                w.fitInBoundary();
+            }
+        });
+    }
+
     /**
      * @package
      */
     toString() {
         return `WindowManager = {\n` +
-               `    this.zIndexTop =  ${this.zIndexTop},\n` +
+               `    this.stack = [${this.stack}],\n` +
                `    this.currCursor = ${this.currCursor},\n` +
                `    this.moveAction = ${this.moveAction},\n` +
                `    this.cursorPos = ${this.cursorPos},\n` +
                `    this.activeWindow = ${this.activeWindow},\n` +
                `    this.pressedButton = ${this.pressedButton},\n` +
                `    this.rightClickTitlebar = ${this.rightClickTitlebar},\n` +
+               `    this.windowWithOpenMenu = ${this.windowWithOpenMenu},\n` +
+               `    this.trackingType = ${this.trackingType},\n` +
                `    this.windowWithVisibleTooltip = ${this.windowWithVisibleTooltip},\n` +
                `}`;
     }
@@ -0,0 +1,295 @@
+/**
+ * @module mdiclient
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import WindowManager from './manager';
+import { createWindowManagerApi } from './api';
+import { WindowManagerContext, ThemeContext } from './context';
+import { systemCommands } from './systemmenu';
+import { titlebarButtons, TitlebarButton } from './titlebarbutton';
+import { hoverHandlers, hotkeyPropType, updateHotkeys } from './globals';
+import { getThemeProps } from './themes';
+
+/**
+ * A React component that hosts its Win32Dialog children like the client
+ * area of a classic MDI (multiple document interface) application.
+ * It works like a Win32Desktop with a menu bar above the client area.
+ * While a child is maximized, it fills the client area without its titlebar,
+ * and its icon and titlebar buttons are displayed on the menu bar instead.
+ * Minimized children are docked along the bottom edge of the client area.
+ * The menu bar uses the theme of the closest Win32ThemeProvider.
+ * @public
+ */
+export default class Win32MdiClient extends React.Component {
+    static propTypes = {
+        /**
+         * The contents of the menu bar, like the application's menus.
+         * The menu bar is only displayed if this prop is defined, or
+         * if a child is maximized.
+         */
+        menu: PropTypes.node,
+        /**
+         * Class names that are added to the outer element.
+         */
+        className: PropTypes.string,
+        /**
+         * Inline style of the outer element. The MDI client needs
+         * a size, either from here or from its class names.
+         */
+        style: PropTypes.object,
+        /**
+         * The key combination that switches between the children. It has
+         * the same properties as a keyboard event: key, and the altKey,
+         * ctrlKey, metaKey and shiftKey modifiers.
+         */
+        switchHotkey: hotkeyPropType,
+        /**
+         * The key combination that closes the child with focus,
+         * or null to only close it with Alt+F4.
+         */
+        closeHotkey: hotkeyPropType,
+        /**
+         * The Win32Dialogs that are hosted by the MDI client.
+         */
+        children: PropTypes.node,
+    };
+
+    static defaultProps = {
+        //like in MDI applications, Ctrl+F6 switches between the children
+        //and Ctrl+F4 closes the child with focus
+        switchHotkey: { key: 'F6', ctrlKey: true },
+        closeHotkey: { key: 'F4', ctrlKey: true },
+    };
+
+    constructor(props) {
+        super(props);
+
+        /**
+         * Points to the client area, that the children are drawn in.
+         * @private
+         */
+        this.clientRef = React.createRef();
+
+        /**
+         * The window manager of the children.
+         * @private
+         */
+        this.manager = new WindowManager(this.clientRef, true);
+        this.manager.switchHotkey = props.switchHotkey;
+        this.manager.closeHotkey = props.closeHotkey;
+
+        /**
+         * The public API of the window manager of the children. It works
+         * like the windowManager export.
+         * @public
+         */
+        this.windowManager = createWindowManagerApi(this.manager);
+
+        this.state = {
+            /**
+             * The maximized child that is closest to the top of the stack,
+             * or null if no child is maximized.
+             * @see {module:manager/WindowManager#getWindowList}
+             */
+            maximized: null
+        };
+    }
+
+    componentDidMount() {
+        this.unsubscribe = this.manager.subscribe(this._updateMaximized);
+
+        //the children registered before the subscription
+        this._updateMaximized();
+    }
+
+    componentDidUpdate(prevProps) {
+        updateHotkeys(this.manager, prevProps, this.props);
+
+        //the menu bar was removed, so its mouseleave event won't fire
+        if (!this._hasMenuBar()) {
+            this.manager.cursorOnMenuBar = false;
+        }
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe();
+    }
+
+    /**
+     * Returns true if the menu bar is displayed.
+     * @private
+     */
+    _hasMenuBar() {
+        return !!this.state.maximized || this.props.menu !== undefined;
+    }
+
+    /**
+     * Is called by the window manager every time the children change.
+     * @private
+     */
+    _updateMaximized = () => {
+        const maximized = this.manager.getWindowList()
+                              .filter(info => info.isMaximized && !info.isMinimized)
+                              .sort((a, b) => b.zIndex - a.zIndex)[0];
+
+        this.setState({
+            maximized: maximized || null
+        });
+    }
+
+    /**
+     * Arranges the children so that they overlap diagonally.
+     * @public
+     */
+    cascade() {
+        this.manager.cascade();
+    }
+
+    /**
+     * Arranges the children one above the other.
+     * @public
+     */
+    tileHorizontally() {
+        this.manager.tileHorizontally();
+    }
+
+    /**
+     * Arranges the children side by side.
+     * @public
+     */
+    tileVertically() {
+        this.manager.tileVertically();
+    }
+
+    /**
+     * Lines up the minimized children along the bottom edge of the client area.
+     * @public
+     */
+    arrangeIcons() {
+        this.manager.arrangeIcons();
+    }
+
+    /**
+     * Opens the system menu of the maximized child, right below the menu bar.
+     * @private
+     */
+    _onIconClick = () => {
+        this.manager.openSystemMenuAt(this.state.maximized.window, { x: 0, y: 0 });
+    }
+
+    /**
+     * Runs the system command of a titlebar button on the menu bar.
+     * Minimizing a maximized child restores it first.
+     * @param {number} command Value from the systemCommands object.
+     * @private
+     */
+    _onButtonClick(command) {
+        const w = this.state.maximized.window;
+
+        if (command === systemCommands.minimize) {
+            w.handleSystemCommand(systemCommands.restore);
+        }
+
+        w.handleSystemCommand(command);
+    }
+
+    /**
+     * The buttons on the menu bar are disabled like the titlebar
+     * buttons of the maximized child.
+     * @private
+     */
+    _renderMenuBar(theme) {
+        const { maximized } = this.state,
+              wm = this.manager,
+              isDisabled = (button) => !maximized.window.hasTitlebarButton(button);
+
+        if (!this._hasMenuBar()) {
+            return null;
+        }
+
+        return (
+            <div
+                className='react-win32dialog-mdi-menubar'
+                {...hoverHandlers(() => wm.cursorOnMenuBar = true,
+                                  () => wm.cursorOnMenuBar = false)}
+            >
+                {maximized && (
+                    <img
+                        src={maximized.icon}
+                        draggable={false}
+                        onClick={this._onIconClick}
+                        width='13'
+                        height='13'
+                        className='react-win32dialog-mdi-menubar-icon'
+                    />
+                )}
+
+                <div className='react-win32dialog-mdi-menu'>
+                    {this.props.menu}
+                </div>
+
+                {maximized && (
+                    <div className='react-win32dialog-titlebar-buttons'>
+                        <TitlebarButton
+                            icon={theme.icons.minimize}
+                            disabled={isDisabled(titlebarButtons.minimize)}
+                            onClick={() => this._onButtonClick(systemCommands.minimize)}
+                        />
+                        <TitlebarButton
+                            icon={theme.icons.restore}
+                            disabled={isDisabled(titlebarButtons.maximize)}
+                            onClick={() => this._onButtonClick(systemCommands.restore)}
+                        />
+                        <TitlebarButton
+                            icon={theme.icons.close}
+                            isClose
+                            disabled={isDisabled(titlebarButtons.close)}
+                            onClick={() => this._onButtonClick(systemCommands.close)}
+                        />
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    render() {
+        return (
+            <ThemeContext.Consumer>
+                {theme => this._renderMdiClient(theme)}
+            </ThemeContext.Consumer>
+        );
+    }
+
+    /**
+     * @private
+     */
+    _renderMdiClient(theme) {
+        const themeProps = getThemeProps(theme, this.props.style);
+        let mdiClasses = 'react-win32dialog-mdi ' + themeProps.className;
+
+        if (this.props.className) {
+            mdiClasses += ' ' + this.props.className;
+        }
+
+        return (
+            <div
+                style={themeProps.style}
+                className={mdiClasses}
+            >
+                {this._renderMenuBar(theme)}
+
+                <div
+                    ref={this.clientRef}
+                    className='react-win32dialog-desktop react-win32dialog-mdi-client'
+                >
+                    <WindowManagerContext.Provider value={this.manager}>
+                        {this.props.children}
+                    </WindowManagerContext.Provider>
+                </div>
+            </div>
+        );
+    }
+}
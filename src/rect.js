@@ -3,13 +3,23 @@
  */
 'use strict';
 
-import { cursorState } from './cursor';
-import { getViewportWidth } from './globals';
+import {
+    cursorState,
+    getCursorPos,
+} from './cursor';
+import {
+    getViewportWidth,
+    getViewportHeight,
+} from './globals';
 
 const defaultRect = {
     min_w: 122,
     min_h: 27,
-    border_w: 2
+    //tool windows have a shorter titlebar
+    tool_min_h: 23,
+    border_w: 2,
+    //extra width of the resize areas on the edges, for touch input
+    touch_w: 8
 };
 
 /**
@@ -23,17 +33,116 @@ function isBetween(p, left, right) {
     return false;
 }
 
+/**
+ * @typedef {Object} Bounds
+ * @property {number} left
+ * @property {number} top
+ * @property {number} width
+ * @property {number} height
+ * @package
+ */
+
+/**
+ * @typedef {Object} SnapLine
+ * @property {number} pos The line's x coordinate if it's vertical, or its
+ * y coordinate if it's horizontal.
+ * @property {number} start Where the line starts on the other axis.
+ * @property {number} end Where the line ends on the other axis.
+ * @package
+ */
+
+/**
+ * @typedef {Object} SnapLines
+ * @property {Array<SnapLine>} vertical
+ * @property {Array<SnapLine>} horizontal
+ * @package
+ */
+
+/**
+ * Returns the distance that moves one of the edges onto the closest line,
+ * or 0 if no line is within the threshold. Lines only attract the edges
+ * if they run alongside the part of the axis between start and end.
+ * @param {Array<number>} edges
+ * @param {Array<SnapLine>} lines
+ * @param {number} start
+ * @param {number} end
+ * @param {number} threshold
+ * @private
+ */
+const getSnapOffset = (edges, lines, start, end, threshold) => {
+    let offset = 0,
+        distance = Infinity;
+
+    lines.forEach(line => {
+        if (line.end < start - threshold || line.start > end + threshold) {
+            return;
+        }
+
+        edges.forEach(edge => {
+            const d = line.pos - edge;
+
+            if (Math.abs(d) <= threshold && Math.abs(d) < distance) {
+                offset = d;
+                distance = Math.abs(d);
+            }
+        });
+    });
+
+    return offset;
+};
+
+/**
+ * Returns the Bounds of the element's content and padding area, in the
+ * coordinates that getCursorPos returns for the same container.
+ * @param {HTMLElement} el
+ * @param {HTMLElement} container
+ * @package
+ */
+const getElementBounds = (el, container) => {
+    const rect = el.getBoundingClientRect(),
+          origin = getCursorPos({
+              clientX: rect.left + el.clientLeft,
+              clientY: rect.top + el.clientTop
+          }, container);
+
+    return {
+        left: origin.x,
+        top: origin.y,
+        width: el.clientWidth,
+        height: el.clientHeight
+    };
+};
+
+/**
+ * Returns the Bounds of the visible part of the page, in the
+ * coordinates that getCursorPos returns for the same container.
+ * @param {HTMLElement} container
+ * @package
+ */
+const getViewportBounds = (container) => {
+    const origin = getCursorPos({ clientX: 0, clientY: 0 }, container);
+
+    return {
+        left: origin.x,
+        top: origin.y,
+        width: getViewportWidth(),
+        height: getViewportHeight()
+    };
+};
+
 /**
  * Represents a rectangular area that supports translation (i.e. resizing/moving).
  * It's used internally to represent the Win32Dialog's border.
  * @package
  */
 export default class DialogRect {
-    constructor(x, y, w, h, min_w, min_h, border_w) {
+    constructor(x, y, w, h, min_w, min_h, border_w, max_w, max_h, is_tool) {
+        const default_min_h = (is_tool) ? defaultRect.tool_min_h : defaultRect.min_h;
+
         this.borderWidth = (border_w && border_w >= defaultRect.border_w) ? border_w : defaultRect.border_w;
 
         this.minWidth = (min_w && min_w > defaultRect.min_w) ? min_w : defaultRect.min_w;
-        this.minHeight = (min_h && min_h > defaultRect.min_h) ? min_h : defaultRect.min_h;
+        this.minHeight = (min_h && min_h > default_min_h) ? min_h : default_min_h;
 
         //adapt minWidth and minHeight to the border width
         if (this.borderWidth !== defaultRect.border_w) {
@@ -41,10 +150,14 @@ export default class DialogRect {
             this.minHeight += 2 * this.borderWidth;
         }
 
+        //the maximum size is never smaller than the minimum size
+        this.maxWidth = (max_w) ? Math.max(max_w, this.minWidth) : Infinity;
+        this.maxHeight = (max_h) ? Math.max(max_h, this.minHeight) : Infinity;
+
         this.left = x || 1;
         this.top = y || 1;
-        this.width = (w && w > this.minWidth) ? w : this.minWidth;
-        this.height = (h && h > this.minHeight) ? h : this.minHeight;
+        this.width = this.clampWidth(w || this.minWidth);
+        this.height = this.clampHeight(h || this.minHeight);
 
         this.right = this.width + this.left;
         this.bottom = this.top + this.height;
@@ -52,6 +165,26 @@ export default class DialogRect {
         this.cursorOffset = { x: 0, y: 0 };
     }
 
+    /**
+     * Returns the width that is closest to w, within the rect's
+     * minimum and maximum width.
+     * @param {number} w
+     * @package
+     */
+    clampWidth(w) {
+        return Math.min(Math.max(w, this.minWidth), this.maxWidth);
+    }
+
+    /**
+     * Returns the height that is closest to h, within the rect's
+     * minimum and maximum height.
+     * @param {number} h
+     * @package
+     */
+    clampHeight(h) {
+        return Math.min(Math.max(h, this.minHeight), this.maxHeight);
+    }
+
     /**
      * Updates the rect's dimensions.
      * @package
@@ -96,6 +229,9 @@ export default class DialogRect {
         if (new_height < this.minHeight) {
             new_top -= this.minHeight - new_height;
             new_height = this.minHeight;
+        } else if (new_height > this.maxHeight) {
+            new_top += new_height - this.maxHeight;
+            new_height = this.maxHeight;
         }
 
         return [new_height, new_top];
@@ -124,6 +260,9 @@ export default class DialogRect {
         if (new_width < this.minWidth) {
             new_left -= this.minWidth - new_width;
             new_width = this.minWidth;
+        } else if (new_width > this.maxWidth) {
+            new_left += new_width - this.maxWidth;
+            new_width = this.maxWidth;
         }
 
         return [new_width, new_left];
@@ -142,13 +281,7 @@ export default class DialogRect {
      * @private
      */
     _resizeBottom(cursor_y) {
-        let new_height = this.height + cursor_y - this.bottom;
-
-        if (new_height < this.minHeight) {
-            new_height = this.minHeight;
-        }
-
-        return new_height;
+        return this.clampHeight(this.height + cursor_y - this.bottom);
     }
 
     /**
@@ -163,63 +296,77 @@ export default class DialogRect {
      * @private
      */
     _resizeRight(cursor_x) {
-        let new_width = this.width + cursor_x - this.right;
-
-        if (new_width < this.minWidth) {
-            new_width = this.minWidth;
-        }
-
-        return new_width;
+        return this.clampWidth(this.width + cursor_x - this.right);
     }
 
     /**
      * Resizes the rect.
      * @param {module:cursor/CursorPos} cursor_pos
      * @param {module:cursor/cursorState} resize_type
+     * @param {Bounds} bounds If it's defined, the edges that are
+     * resized don't go outside of the bounds.
+     * @param {SnapLines} snap_lines If it's defined, the edges that are
+     * resized snap to the closest lines within snap_threshold pixels.
+     * @param {number} snap_threshold
      * @package
      */
-    resizeToCursor(cursor_pos, resize_type) {
+    resizeToCursor(cursor_pos, resize_type, bounds, snap_lines, snap_threshold) {
+        //the caller's cursor position is left as it is
+        const pos = {
+            x: cursor_pos.x + this.cursorOffset.x,
+            y: cursor_pos.y + this.cursorOffset.y,
+        };
         let new_top, new_left, new_width, new_height;
 
-        cursor_pos.x += this.cursorOffset.x;
-        cursor_pos.y += this.cursorOffset.y;
+        //after the offsets, the cursor is right on the edges that are resized
+        if (snap_lines) {
+            pos.x += getSnapOffset([pos.x], snap_lines.vertical,
+                                   this.top, this.bottom, snap_threshold);
+            pos.y += getSnapOffset([pos.y], snap_lines.horizontal,
+                                   this.left, this.right, snap_threshold);
+        }
+
+        if (bounds) {
+            pos.x = Math.min(Math.max(pos.x, bounds.left), bounds.left + bounds.width);
+            pos.y = Math.min(Math.max(pos.y, bounds.top), bounds.top + bounds.height);
+        }
 
         switch (resize_type) {
 
         case cursorState.right:
-            new_width = this._resizeRight(cursor_pos.x);
+            new_width = this._resizeRight(pos.x);
             break;
 
         case cursorState.left:
-            [new_width, new_left] = this._resizeLeft(cursor_pos.x);
+            [new_width, new_left] = this._resizeLeft(pos.x);
             break;
 
         case cursorState.top:
-            [new_height, new_top] = this._resizeTop(cursor_pos.y);
+            [new_height, new_top] = this._resizeTop(pos.y);
             break;
 
         case cursorState.bottom:
-            new_height = this._resizeBottom(cursor_pos.y);
+            new_height = this._resizeBottom(pos.y);
             break;
 
         case cursorState.bottomright:
-            new_height = this._resizeBottom(cursor_pos.y);
-            new_width = this._resizeRight(cursor_pos.x);
+            new_height = this._resizeBottom(pos.y);
+            new_width = this._resizeRight(pos.x);
             break;
 
         case cursorState.bottomleft:
-            new_height = this._resizeBottom(cursor_pos.y);
-            [new_width, new_left] = this._resizeLeft(cursor_pos.x);
+            new_height = this._resizeBottom(pos.y);
+            [new_width, new_left] = this._resizeLeft(pos.x);
             break;
 
         case cursorState.topright:
-            [new_height, new_top] = this._resizeTop(cursor_pos.y);
-            new_width = this._resizeRight(cursor_pos.x);
+            [new_height, new_top] = this._resizeTop(pos.y);
+            new_width = this._resizeRight(pos.x);
             break;
 
         case cursorState.topleft:
-            [new_height, new_top] = this._resizeTop(cursor_pos.y);
-            [new_width, new_left] = this._resizeLeft(cursor_pos.x);
+            [new_height, new_top] = this._resizeTop(pos.y);
+            [new_width, new_left] = this._resizeLeft(pos.x);
             break;
 
         //passthrough is intentional here
@@ -237,11 +384,13 @@ export default class DialogRect {
      * For example if the cursor is on top of the rect's right edge,
      * it will return cursorState.right.
      * @param {module:cursor/CursorPos} cursor_pos
+     * @param {boolean} is_touch If true, the edges are wider so that
+     * they're easier to hit with a finger.
      * @package
      */
-    getCursorResizeState(cursor_pos) {
+    getCursorResizeState(cursor_pos, is_touch = false) {
         const dgOffset = 4,
-              widthOffset = this.borderWidth + 2,
+              widthOffset = this.borderWidth + 2 + ((is_touch) ? defaultRect.touch_w : 0),
               totalOffset = widthOffset + dgOffset;
 
         if (isBetween(cursor_pos.x, this.right - widthOffset, this.right)) {
@@ -373,14 +522,17 @@ export default class DialogRect {
 
     /**
      * Stretches the rect's edges so that they cover the entire
-     * viewport.
+     * bounds, which is usually the viewport. Like the maximized windows
+     * of Windows, the rect doesn't grow past its maximum size, and stays
+     * at the upper left corner of the bounds in that case.
+     * @param {Bounds} bounds
      * @package
      */
-    coverDocumentBody() {
-        this.left = 0;
-        this.top = 0;
-        this.width = getViewportWidth();
-        this.height = document.body.clientHeight;
+    coverBounds(bounds) {
+        this.left = bounds.left;
+        this.top = bounds.top;
+        this.width = Math.min(bounds.width, this.maxWidth);
+        this.height = Math.min(bounds.height, this.maxHeight);
 
         this.right = this.width + this.left;
         this.bottom = this.top + this.height;
@@ -396,6 +548,22 @@ export default class DialogRect {
                     cursor_pos.y + this.cursorOffset.y);
     }
 
+    /**
+     * Moves the rect so that its closest edges line up with the closest
+     * lines, if they're within threshold pixels.
+     * @param {SnapLines} lines
+     * @param {number} threshold
+     * @package
+     */
+    snapToLines(lines, threshold) {
+        const dx = getSnapOffset([this.left, this.right], lines.vertical,
+                                 this.top, this.bottom, threshold),
+              dy = getSnapOffset([this.top, this.bottom], lines.horizontal,
+                                 this.left, this.right, threshold);
+
+        this.update(this.left + dx, this.top + dy);
+    }
+
     /**
      * Stores the cursor's offset in relation to the rect's edges.
      * This method should be called once, right before a move/resize operation,
@@ -483,6 +651,20 @@ export default class DialogRect {
                     (this.top <= 0) ? 1 : this.top);
     }
 
+    /**
+     * Moves the rect so that it's entirely inside the bounds. If the rect is
+     * larger than the bounds, its upper left corner stays inside them.
+     * @param {Bounds} bounds
+     * @package
+     */
+    moveWithinBounds(bounds) {
+        const right = bounds.left + bounds.width,
+              bottom = bounds.top + bounds.height;
+
+        this.update(Math.max(Math.min(this.left, right - this.width), bounds.left),
+                    Math.max(Math.min(this.top, bottom - this.height), bounds.top));
+    }
+
     /**
      * @package
      */
@@ -493,7 +675,14 @@ export default class DialogRect {
                `    .width = ${this.width},\n` +
                `    .height = ${this.height},\n` +
                `    .minWidth = ${this.minWidth},\n` +
-               `    .minHeight = ${this.minHeight}\n` +
+               `    .minHeight = ${this.minHeight},\n` +
+               `    .maxWidth = ${this.maxWidth},\n` +
+               `    .maxHeight = ${this.maxHeight}\n` +
                `}`;
     }
 }
+
+export {
+    getElementBounds,
+    getViewportBounds,
+};
@@ -0,0 +1,86 @@
+/**
+ * @module switcher
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getThemeProps } from './themes';
+
+/**
+ * @typedef {Object} WindowCaption
+ * @property {string} icon The source of the window's titlebar icon.
+ * @property {string} title The window's title.
+ * @package
+ */
+
+/**
+ * Represents the overlay that is displayed while the user switches between
+ * windows with the keyboard, as a React component. It lists the icons
+ * of the windows, and the title of the selected window below them,
+ * like the task switcher of the classic Windows style.
+ * It isn't rendered at all if props.items isn't defined, and it's drawn
+ * with the theme of props.theme.
+ * @package
+ */
+const WindowSwitcher = (props) => {
+    if (!props.items) {
+        return null;
+    }
+
+    const selectedItem = props.items[props.selected],
+          themeProps = getThemeProps(props.theme, { zIndex: props.zIndex });
+
+    return (
+        <div
+            className={'react-win32dialog-switcher ' + themeProps.className}
+            style={themeProps.style}
+        >
+            <div className='react-win32dialog-switcher-icons'>
+                {props.items.map((item, i) => (
+                    <div
+                        key={i}
+                        className={'react-win32dialog-switcher-item' +
+                                   ((i === props.selected) ? ' react-win32dialog-switcher-item-selected' : '')}
+                    >
+                        <img
+                            src={item.icon}
+                            draggable={false}
+                            width='32'
+                            height='32'
+                        />
+                    </div>
+                ))}
+            </div>
+            <div className='react-win32dialog-switcher-title'>
+                {selectedItem && selectedItem.title}
+            </div>
+        </div>
+    );
+};
+
+WindowSwitcher.propTypes = {
+    /**
+     * The windows that can be switched to, in switching order.
+     * @see {module:switcher/WindowCaption}
+     */
+    items: PropTypes.arrayOf(PropTypes.shape({
+        icon: PropTypes.string,
+        title: PropTypes.string,
+    })),
+    /**
+     * The index of the selected item.
+     */
+    selected: PropTypes.number,
+    /**
+     * The z-index of the overlay.
+     */
+    zIndex: PropTypes.number,
+    /**
+     * A Theme object that was returned by resolveTheme.
+     * @see {module:themes/Theme}
+     */
+    theme: PropTypes.object,
+};
+
+export default WindowSwitcher;
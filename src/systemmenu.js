@@ -0,0 +1,202 @@
+/**
+ * @module systemmenu
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { hoverHandlers } from './globals';
+import { getThemeProps } from './themes';
+
+/**
+ * Object that enumerates all the commands of the system menu.
+ * @package
+ */
+const systemCommands = {
+    restore: 0,
+    move: 1,
+    size: 2,
+    minimize: 3,
+    maximize: 4,
+    close: 5,
+    custom: 6,
+};
+
+/**
+ * @typedef {Object} SystemMenuItem
+ * @property {string} label The item's text. The character after an
+ * ampersand (&) is the item's mnemonic, and is rendered underlined.
+ * @property {string} shortcut Text that is displayed on the right side
+ * of the item, like 'Alt+F4'.
+ * @property {boolean} disabled If true, the item is greyed out and can't
+ * be selected.
+ * @property {boolean} isDefault If true, the item is rendered in bold.
+ * @property {boolean} separator If true, the item is rendered as a
+ * horizontal line and has no other properties.
+ * @property {number} command Value from the systemCommands object.
+ * @property {Function} onClick Handler of items with the custom command.
+ * @package
+ */
+
+/**
+ * Returns the mnemonic character of a menu item's label, in lower case,
+ * or null if the label doesn't have one.
+ * @param {string} label
+ * @package
+ */
+const getMnemonic = (label) => {
+    const idx = label.indexOf('&');
+
+    if (idx !== -1 && idx < label.length - 1) {
+        return label[idx + 1].toLowerCase();
+    }
+
+    return null;
+};
+
+/**
+ * Renders a menu item's label with its mnemonic character underlined.
+ * @param {string} label
+ * @private
+ */
+const renderLabel = (label) => {
+    const idx = label.indexOf('&');
+
+    if (idx === -1 || idx === label.length - 1) {
+        return label;
+    }
+
+    return (
+        <React.Fragment>
+            {label.slice(0, idx)}
+            <u>{label[idx + 1]}</u>
+            {label.slice(idx + 2)}
+        </React.Fragment>
+    );
+};
+
+/**
+ * Represents the system menu of a dialog as a React component.
+ * Like the tooltip, it's rendered at an absolute position and
+ * it isn't rendered at all if props.position isn't defined.
+ * If props.position.above is true, the menu's lower left corner is
+ * at that position instead of its upper left corner.
+ * The menu is drawn with the theme of props.theme.
+ * @package
+ */
+const SystemMenu = (props) => {
+    if (!props.position) {
+        return null;
+    }
+
+    const themeProps = getThemeProps(props.theme, {
+        left: props.position.x,
+        top: props.position.y,
+        zIndex: props.zIndex,
+        //menus that are opened from the taskbar, are drawn above the cursor
+        transform: (props.position.above) ? 'translateY(-100%)' : undefined
+    });
+
+    return (
+        <div
+            className={'react-win32dialog-system-menu ' + themeProps.className}
+            style={themeProps.style}
+            {...hoverHandlers(props.onEnter, props.onLeave)}
+            onMouseDown={(ev) => ev.preventDefault()}
+            onContextMenu={(ev) => ev.preventDefault()}
+        >
+            {props.items.map((item, i) => {
+                if (item.separator) {
+                    return (
+                        <div
+                            key={i}
+                            className='react-win32dialog-system-menu-separator'
+                        />
+                    );
+                }
+
+                let itemClasses = 'react-win32dialog-system-menu-item';
+
+                if (item.disabled) {
+                    itemClasses += ' react-win32dialog-system-menu-item-disabled';
+                }
+
+                if (item.isDefault) {
+                    itemClasses += ' react-win32dialog-system-menu-item-default';
+                }
+
+                if (i === props.selected) {
+                    itemClasses += ' react-win32dialog-system-menu-item-selected';
+                }
+
+                return (
+                    <div
+                        key={i}
+                        className={itemClasses}
+                        onMouseEnter={() => props.onSelect(i)}
+                        onClick={() => props.onActivate(i)}
+                    >
+                        <span>{renderLabel(item.label)}</span>
+                        <span className='react-win32dialog-system-menu-shortcut'>
+                            {item.shortcut}
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+SystemMenu.propTypes = {
+    /**
+     * The position of the menu's upper left corner, or of its lower
+     * left corner if above is true. The menu is closed if it's null.
+     */
+    position: PropTypes.shape({
+        x: PropTypes.number,
+        y: PropTypes.number,
+        above: PropTypes.bool,
+    }),
+    /**
+     * The z-index of the menu.
+     */
+    zIndex: PropTypes.number,
+    /**
+     * The items of the menu. Their labels mark the mnemonic with '&'.
+     */
+    items: PropTypes.arrayOf(PropTypes.shape({
+        label: PropTypes.string,
+        shortcut: PropTypes.string,
+        disabled: PropTypes.bool,
+        isDefault: PropTypes.bool,
+        separator: PropTypes.bool,
+    })),
+    /**
+     * The index of the selected item.
+     */
+    selected: PropTypes.number,
+    /**
+     * Are called when the pointer enters and leaves the menu.
+     */
+    onEnter: PropTypes.func,
+    onLeave: PropTypes.func,
+    /**
+     * Is called with the index of the item that the pointer hovers on.
+     */
+    onSelect: PropTypes.func,
+    /**
+     * Is called with the index of the item that is clicked.
+     */
+    onActivate: PropTypes.func,
+    /**
+     * A Theme object that was returned by resolveTheme.
+     * @see {module:themes/Theme}
+     */
+    theme: PropTypes.object,
+};
+
+export {
+    systemCommands,
+    getMnemonic,
+    SystemMenu,
+};
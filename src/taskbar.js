@@ -0,0 +1,146 @@
+/**
+ * @module taskbar
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Win32Dialog from './dialog';
+import { getCursorPos } from './cursor';
+import { hoverHandlers } from './globals';
+import { getThemeProps } from './themes';
+import { ThemeContext } from './context';
+
+/**
+ * A React component that renders a taskbar with a button for every open
+ * dialog, at the bottom of the viewport.
+ * While a taskbar is mounted, minimizing a dialog hides it into the taskbar.
+ * Clicking a button restores its dialog if it's minimized, minimizes it if
+ * it has focus, and brings it to the top otherwise. Right-clicking a button
+ * opens the dialog's system menu.
+ * The dialogs inside a Win32Desktop don't have buttons on the taskbar.
+ * The taskbar uses the theme of the closest Win32ThemeProvider.
+ * @public
+ */
+export default class Win32Taskbar extends React.Component {
+    static propTypes = {
+        /**
+         * Class names that are added to the taskbar.
+         */
+        className: PropTypes.string,
+        /**
+         * Inline style of the taskbar. Its height is left to the
+         * stylesheet, since the dialogs are kept above it.
+         */
+        style: PropTypes.object,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            /**
+             * The dialogs that have a button on the taskbar.
+             * @see {module:manager/WindowManager#getTaskbarEntries}
+             */
+            entries: Win32Dialog.windowManager.getTaskbarEntries()
+        };
+    }
+
+    componentDidMount() {
+        const wm = Win32Dialog.windowManager;
+
+        wm.registerTaskbar();
+        this.unsubscribe = wm.subscribe(this._updateEntries);
+
+        //windows might have registered before the subscription
+        this._updateEntries();
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe();
+        Win32Dialog.windowManager.unregisterTaskbar();
+    }
+
+    /**
+     * Is called by the window manager every time the registered windows change.
+     * @private
+     */
+    _updateEntries = () => {
+        this.setState({
+            entries: Win32Dialog.windowManager.getTaskbarEntries()
+        });
+    }
+
+    /**
+     * @private
+     */
+    _onButtonContextMenu(ev, entry) {
+        ev.preventDefault();
+
+        Win32Dialog.windowManager.openSystemMenuAt(entry.window, {
+            ...getCursorPos(ev),
+            above: true
+        });
+    }
+
+    render() {
+        return (
+            <ThemeContext.Consumer>
+                {theme => this._renderTaskbar(theme)}
+            </ThemeContext.Consumer>
+        );
+    }
+
+    /**
+     * @private
+     */
+    _renderTaskbar(theme) {
+        const wm = Win32Dialog.windowManager,
+              themeProps = getThemeProps(theme, {
+                  ...this.props.style,
+                  zIndex: wm.zIndexBase + wm.getStackSize()
+              });
+        let taskbarClasses = 'react-win32dialog-taskbar ' + themeProps.className;
+
+        if (this.props.className) {
+            taskbarClasses += ' ' + this.props.className;
+        }
+
+        return (
+            <div
+                className={taskbarClasses}
+                style={themeProps.style}
+                {...hoverHandlers(() => wm.cursorOnTaskbar = true,
+                                  () => wm.cursorOnTaskbar = false)}
+                onContextMenu={(ev) => ev.preventDefault()}
+            >
+                {this.state.entries.map(entry => {
+                    let buttonClasses = 'react-win32dialog-taskbar-button';
+
+                    if (entry.hasFocus && !entry.isMinimized) {
+                        buttonClasses += ' react-win32dialog-taskbar-button-active';
+                    }
+
+                    return (
+                        <div
+                            key={entry.id}
+                            title={entry.title}
+                            className={buttonClasses}
+                            onClick={() => wm.activateTaskbarWindow(entry.window)}
+                            onContextMenu={(ev) => this._onButtonContextMenu(ev, entry)}
+                        >
+                            <img
+                                src={entry.icon}
+                                draggable={false}
+                                width='16'
+                                height='16'
+                            />
+                            <span>{entry.title}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+}
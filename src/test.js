@@ -11,10 +11,18 @@ import {
 } from 'enzyme';
 import Adapter from 'enzyme-adapter-react-16';
 import Win32Dialog from './index';
+import WindowManager from './manager';
 import Tooltip from './tooltip';
 import { NO_VALUE } from './globals';
 import { TitlebarButton, titlebarButtons } from './titlebarbutton';
 import { cursorState } from './cursor';
+import { SystemMenu, systemCommands } from './systemmenu';
+import Win32Taskbar from './taskbar';
+import Win32Desktop from './desktop';
+import Win32MdiClient from './mdiclient';
+import Win32ThemeProvider from './themeprovider';
+import { themes } from './themes';
+import { windowManager } from './api';
 
 configure({ adapter: new Adapter() });
 
@@ -107,6 +115,29 @@ describe('<Win32Dialog />', () => {
             expect(nodes.parent().hasClass('react-win32dialog-titlebar')).toBeTruthy();
         });
 
+        it('draws a small titlebar with only a close button for tool windows', () => {
+            const minHeight = wrapper.instance().getMinimumSize().height;
+
+            unmountTestDialog();
+            mountTestDialog({ variant: 'tool' });
+
+            expect(wrapper.find('.react-win32dialog-titlebar-tool').length).toBe(1);
+            expect(wrapper.find('.react-win32dialog-titlebar-icon').length).toBe(0);
+            expect(wrapper.find('TitlebarButton').map(button => button.prop('isClose'))).toEqual([true]);
+            expect(wrapper.instance().getMinimumSize().height).toBeLessThan(minHeight);
+        });
+
+        it('draws the buttons of normal dialogs for unknown variants', () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            unmountTestDialog();
+            mountTestDialog({ variant: 'palette' });
+
+            expect(wrapper.find('TitlebarButton').length).toBe(3);
+            expect(consoleError).toHaveBeenCalled();
+            consoleError.mockRestore();
+        });
+
         it('draws 3 TitlebarButton components', () => {
             nodes = wrapper.find('TitlebarButton');
             expect(nodes.length).toBe(3);
@@ -259,6 +290,306 @@ describe('<Win32Dialog />', () => {
         });
     });
 
+    describe('Controlled geometry', () => {
+        it('moves and resizes when the geometry props change', () => {
+            mountTestDialog({ x: 10, y: 20, width: 300, height: 200 });
+
+            wrapper.setProps({ x: 50, y: 60, width: 400, height: 250 });
+            expect(wrapper.state('left')).toBe(50);
+            expect(wrapper.state('top')).toBe(60);
+            expect(wrapper.state('width')).toBe(400);
+            expect(wrapper.state('height')).toBe(250);
+            expect(wrapper.instance().rc.right).toBe(450);
+            expect(wrapper.instance().rc.bottom).toBe(310);
+        });
+
+        it('renders once when the geometry props change', () => {
+            mountTestDialog({ x: 10, y: 20, width: 300, height: 200 });
+
+            const render = jest.spyOn(wrapper.instance(), 'render');
+
+            wrapper.setProps({ x: 50, width: 400 });
+            expect(render).toHaveBeenCalledTimes(1);
+            expect(wrapper.instance().getGeometry()).toEqual({ x: 50, y: 20, width: 400, height: 200 });
+        });
+
+        it("doesn't resize below the minimum dimensions", () => {
+            mountTestDialog({ width: 300, height: 200, minWidth: 150, minHeight: 100 });
+
+            wrapper.setProps({ width: 10, height: 10 });
+            expect(wrapper.state('width')).toBe(150);
+            expect(wrapper.state('height')).toBe(100);
+        });
+
+        it('applies the minimum dimensions when they change', () => {
+            mountTestDialog({ x: 10, y: 20, width: 300, height: 200 });
+
+            wrapper.setProps({ minWidth: 350, minHeight: 150 });
+            expect(wrapper.instance().getGeometry()).toEqual({ x: 10, y: 20, width: 350, height: 200 });
+
+            wrapper.instance().updateWindowSize({ x: 0, y: 0 }, cursorState.bottomright);
+            expect(wrapper.instance().getGeometry()).toMatchObject({ width: 350, height: 150 });
+        });
+
+        it('keeps the size within the maximum dimensions', () => {
+            mountTestDialog({ x: 100, y: 100, width: 500, height: 400, maxWidth: 300, maxHeight: 200 });
+            expect(wrapper.instance().getGeometry()).toMatchObject({ width: 300, height: 200 });
+
+            wrapper.setProps({ width: 1000, height: 150 });
+            expect(wrapper.instance().getGeometry()).toMatchObject({ width: 300, height: 150 });
+
+            wrapper.instance().updateWindowSize({ x: 1000, y: 1000 }, cursorState.bottomright);
+            expect(wrapper.instance().getGeometry()).toMatchObject({ width: 300, height: 200 });
+
+            //the opposite edge stays where it is
+            wrapper.instance().updateWindowSize({ x: 2, y: 2 }, cursorState.topleft);
+            expect(wrapper.instance().getGeometry()).toEqual({ x: 100, y: 100, width: 300, height: 200 });
+        });
+
+        it('applies the maximum dimensions when they change', () => {
+            mountTestDialog({ x: 100, y: 100, width: 500, height: 400 });
+
+            wrapper.setProps({ maxWidth: 300, maxHeight: 200 });
+            expect(wrapper.instance().getGeometry()).toMatchObject({ width: 300, height: 200 });
+
+            wrapper.setProps({ maxWidth: undefined, maxHeight: undefined });
+            wrapper.instance().updateWindowSize({ x: 1000, y: 1000 }, cursorState.bottomright);
+            expect(wrapper.instance().getGeometry().width).toBeGreaterThan(300);
+
+            Object.defineProperty(document.documentElement, 'clientWidth', { value: 800, configurable: true });
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            wrapper.setProps({ maxWidth: 250 });
+            expect(wrapper.state('width')).toBe(250);
+            delete document.documentElement.clientWidth;
+        });
+
+        it('maximizes only up to the maximum dimensions, at the upper left corner', () => {
+            const boundary = document.createElement('div');
+
+            boundary.getBoundingClientRect = () => ({ left: 20, top: 10, right: 1020, bottom: 810 });
+            Object.defineProperty(boundary, 'clientWidth', { value: 1000 });
+            Object.defineProperty(boundary, 'clientHeight', { value: 800 });
+            mountTestDialog({ x: 100, y: 100, maxWidth: 300, maxHeight: 200, boundary: { current: boundary } });
+
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            expect(wrapper.state()).toMatchObject({ left: 20, top: 10, width: 300, height: 200 });
+        });
+
+        it('applies the new geometry after the window is restored, if it changed while maximized', () => {
+            mountTestDialog({ x: 10, y: 10, width: 300, height: 200 });
+
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            wrapper.setProps({ x: 70, y: 80 });
+            expect(wrapper.state('left')).toBe(0);
+
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            expect(wrapper.state('left')).toBe(70);
+            expect(wrapper.state('top')).toBe(80);
+            expect(wrapper.state('width')).toBe(300);
+        });
+
+        it('calls onMove when the window is moved', () => {
+            const onMove = jest.fn();
+
+            mountTestDialog({ width: 300, height: 200, onMove });
+            wrapper.instance().updateWindowPosition({ x: 40, y: 30 });
+            expect(onMove).toHaveBeenLastCalledWith({ x: 40, y: 30, width: 300, height: 200 });
+        });
+
+        it('calls onMove when an offscreen move is fixed', () => {
+            const onMove = jest.fn();
+
+            mountTestDialog({ onMove });
+            wrapper.instance().updateWindowPosition({ x: -50, y: -50 });
+            wrapper.instance().fixOffScreenMove();
+            expect(onMove).toHaveBeenCalledTimes(2);
+            expect(onMove.mock.calls[1][0]).toMatchObject({ x: 1, y: 1 });
+        });
+
+        it('calls onResize when the window is resized', () => {
+            const onResize = jest.fn();
+
+            mountTestDialog({ x: 10, y: 10, width: 300, height: 200, onResize });
+            wrapper.instance().updateWindowSize({ x: 410, y: 0 }, cursorState.right);
+            expect(onResize).toHaveBeenLastCalledWith({ x: 10, y: 10, width: 400, height: 200 });
+        });
+
+        it('stays where the controlling props put it, if the parent ignores onMove and onResize', () => {
+            const onMove = jest.fn(),
+                  onResize = jest.fn();
+
+            mountTestDialog({ x: 100, y: 100, width: 300, height: 200, onMove, onResize });
+
+            wrapper.instance().setupCursorOffset({ x: 110, y: 110 });
+            wrapper.instance().updateWindowPosition({ x: 150, y: 130 });
+            expect(onMove).toHaveBeenLastCalledWith({ x: 140, y: 120, width: 300, height: 200 });
+            expect(wrapper.state()).toMatchObject({ left: 100, top: 100 });
+
+            wrapper.instance().updateWindowPosition({ x: 160, y: 130 });
+            expect(onMove).toHaveBeenLastCalledWith({ x: 150, y: 120, width: 300, height: 200 });
+
+            wrapper.instance().setupCursorOffset({ x: 400, y: 150 }, cursorState.right);
+            wrapper.instance().updateWindowSize({ x: 450, y: 150 }, cursorState.right);
+            expect(onResize).toHaveBeenLastCalledWith({ x: 100, y: 100, width: 350, height: 200 });
+            expect(wrapper.instance().getGeometry()).toEqual({ x: 100, y: 100, width: 300, height: 200 });
+        });
+
+        it('goes back to the controlling props when the parent passes them again', () => {
+            class Parent extends React.Component {
+                state = { x: 100, y: 100 };
+
+                render() {
+                    return <Win32Dialog {...this.state} width={300} height={200}
+                                        onMove={({ x, y }) => this.setState({ x, y })}/>;
+                }
+            }
+
+            const parent = mount(<Parent/>),
+                  dialog = parent.find(Win32Dialog).instance();
+
+            dialog.updateWindowPosition({ x: 40, y: 30 });
+            expect(dialog.state).toMatchObject({ left: 40, top: 30 });
+
+            parent.setState({ x: 100, y: 100 });
+            expect(dialog.state).toMatchObject({ left: 100, top: 100 });
+            expect(dialog.getGeometry()).toMatchObject({ x: 100, y: 100 });
+
+            parent.unmount();
+        });
+    });
+
+    describe('Boundary', () => {
+        const fakeElement = (el) => {
+            el.getBoundingClientRect = () => ({ left: 50, top: 40, right: 350, bottom: 240 });
+            Object.defineProperty(el, 'clientWidth', { value: 300 });
+            Object.defineProperty(el, 'clientHeight', { value: 200 });
+            return el;
+        };
+
+        it('keeps the dialog inside the boundary element while it moves', () => {
+            mountTestDialog({ x: 100, y: 100, boundary: { current: fakeElement(document.createElement('div')) } });
+
+            wrapper.instance().updateWindowPosition({ x: 1000, y: 1000 });
+            expect(wrapper.state('left')).toBe(350 - wrapper.instance().rc.width);
+            expect(wrapper.state('top')).toBe(240 - wrapper.instance().rc.height);
+
+            wrapper.instance().updateWindowPosition({ x: -500, y: -500 });
+            expect(wrapper.state('left')).toBe(50);
+            expect(wrapper.state('top')).toBe(40);
+        });
+
+        it("doesn't resize the dialog outside of the boundary element", () => {
+            mountTestDialog({ x: 100, y: 100, boundary: { current: fakeElement(document.createElement('div')) } });
+
+            wrapper.instance().updateWindowSize({ x: 1000, y: 1000 }, cursorState.bottomright);
+            expect(wrapper.instance().rc.right).toBe(350);
+            expect(wrapper.instance().rc.bottom).toBe(240);
+
+            wrapper.instance().updateWindowSize({ x: 0, y: 0 }, cursorState.topleft);
+            expect(wrapper.state('left')).toBe(50);
+            expect(wrapper.state('top')).toBe(40);
+        });
+
+        it('fills the parent element when it is maximized', () => {
+            const parent = fakeElement(document.createElement('div'));
+
+            wrapper = mount(<Win32Dialog boundary='parent'/>, { attachTo: parent });
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+
+            expect(wrapper.state()).toMatchObject({ left: 50, top: 40, width: 300, height: 200 });
+        });
+
+        it("doesn't move the dialog outside of the boundary from the props", () => {
+            const onMove = jest.fn();
+
+            mountTestDialog({ x: 100, y: 100, onMove, boundary: { current: fakeElement(document.createElement('div')) } });
+
+            wrapper.setProps({ x: 1000, y: 0 });
+
+            const fitted = onMove.mock.calls[onMove.mock.calls.length - 1][0];
+
+            expect(fitted).toMatchObject({ x: 350 - wrapper.instance().rc.width, y: 40 });
+
+            //the dialog is controlled, so it's only moved once the parent passes the geometry back
+            wrapper.setProps({ x: fitted.x, y: fitted.y });
+            expect(wrapper.state()).toMatchObject({ left: fitted.x, top: 40 });
+        });
+
+        it('moves the dialog back inside the boundary when the page is resized', () => {
+            const boundary = document.createElement('div');
+            let right = 350;
+
+            boundary.getBoundingClientRect = () => ({ left: 50, top: 40, right, bottom: 240 });
+            Object.defineProperty(boundary, 'clientWidth', { get: () => right - 50 });
+            Object.defineProperty(boundary, 'clientHeight', { value: 200 });
+            mountTestDialog({ x: 200, y: 100, width: 150, boundary: { current: boundary } });
+
+            right = 250;
+            wrapper.instance().windowManager._onResize();
+            expect(wrapper.state()).toMatchObject({ left: 100, width: 150 });
+        });
+
+        it("doesn't change the cursor position that it's resized to", () => {
+            const cursor = { x: 1000, y: 1000 };
+
+            mountTestDialog({ x: 100, y: 100, boundary: { current: fakeElement(document.createElement('div')) } });
+            wrapper.instance().updateWindowSize(cursor, cursorState.bottomright);
+            expect(cursor).toEqual({ x: 1000, y: 1000 });
+        });
+    });
+
+    describe('Snapping', () => {
+        let other;
+
+        beforeEach(() => {
+            other = mount(<Win32Dialog x={300} y={100} width={200} height={100}/>);
+        });
+
+        afterEach(() => {
+            other.unmount();
+        });
+
+        it('snaps to the edges of the boundary while it moves', () => {
+            const boundary = document.createElement('div');
+
+            boundary.getBoundingClientRect = () => ({ left: 50, top: 40, right: 350, bottom: 240 });
+            Object.defineProperty(boundary, 'clientWidth', { value: 300 });
+            Object.defineProperty(boundary, 'clientHeight', { value: 200 });
+            mountTestDialog({ x: 100, y: 100, width: 150, snapThreshold: 10, boundary: { current: boundary } });
+
+            wrapper.instance().updateWindowPosition({ x: 57, y: 45 });
+            expect(wrapper.state()).toMatchObject({ left: 50, top: 40 });
+
+            wrapper.instance().updateWindowPosition({ x: 62, y: 45 });
+            expect(wrapper.state()).toMatchObject({ left: 62, top: 40 });
+        });
+
+        it('snaps to the edges of other dialogs that are alongside it', () => {
+            mountTestDialog({ x: 0, y: 0, width: 150, snapThreshold: 10 });
+
+            wrapper.instance().updateWindowPosition({ x: 145, y: 110 });
+            expect(wrapper.state()).toMatchObject({ left: 150, top: 100 });
+
+            wrapper.instance().updateWindowPosition({ x: 145, y: 400 });
+            expect(wrapper.state()).toMatchObject({ left: 145, top: 400 });
+        });
+
+        it('snaps the edges that are resized', () => {
+            mountTestDialog({ x: 20, y: 120, width: 150, height: 50, snapThreshold: 10 });
+
+            //the bottom edge isn't alongside the other dialog, so it doesn't snap to it
+            wrapper.instance().updateWindowSize({ x: 294, y: 193 }, cursorState.bottomright);
+            expect(wrapper.instance().getGeometry()).toEqual({ x: 20, y: 120, width: 280, height: 73 });
+        });
+
+        it("doesn't snap without a threshold", () => {
+            mountTestDialog({ x: 0, y: 0, width: 150 });
+
+            wrapper.instance().updateWindowPosition({ x: 145, y: 110 });
+            expect(wrapper.state()).toMatchObject({ left: 145, top: 110 });
+        });
+    });
+
     describe('Tooltip', () => {
         const defaultPos = {x: 1, y: 1};
         let tooltipZIndex;
@@ -417,6 +748,27 @@ describe('<Win32Dialog />', () => {
             expect(onExitWasPushed).toBeTruthy();
         });
 
+        it('close button handler closes the window', () => {
+            const onClose = jest.fn();
+
+            wrapper.setProps({ onClose });
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.close);
+            expect(wrapper.html()).toBeNull();
+            expect(onClose).toHaveBeenCalledTimes(1);
+        });
+
+        it("close button handler doesn't close the window if the open prop is defined", () => {
+            const onRequestClose = jest.fn();
+
+            wrapper.setProps({ open: true, onRequestClose });
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.close);
+            expect(onRequestClose).toHaveBeenCalledTimes(1);
+            expect(wrapper.instance().isOpen()).toBeTruthy();
+
+            wrapper.setProps({ open: false });
+            expect(wrapper.html()).toBeNull();
+        });
+
         it('maximize handler is a no-op if isMinimized is set', () => {
             btnId = titlebarButtons.maximize;
 
@@ -430,6 +782,37 @@ describe('<Win32Dialog />', () => {
             wrapper.instance().handleTitlebarButtonClick(btnId);
             expect(wrapper.instance().isMinimized).toBeFalsy();
         });
+
+        it('renders the buttons of the titlebarButtons prop in order', () => {
+            wrapper.setProps({ titlebarButtons: ['close', { icon: 'help.png', tooltip: 'Help' }] });
+
+            const buttons = wrapper.find('TitlebarButton');
+
+            expect(buttons.length).toBe(2);
+            expect(buttons.at(0).prop('isClose')).toBeTruthy();
+            expect(buttons.at(1).prop('icon')).toBe('help.png');
+            expect(wrapper.instance().isSystemCommandEnabled(systemCommands.minimize)).toBeFalsy();
+            expect(wrapper.instance().isSystemCommandEnabled(systemCommands.maximize)).toBeFalsy();
+
+            wrapper.instance().cursorOnTitlebarButtons = true;
+            wrapper.instance().hoverTitlebarButton = 1;
+            wrapper.instance().showTooltip({ x: 0, y: 0 }, 1);
+            expect(wrapper.state('tooltipArgs').msg).toBe('Help');
+        });
+
+        it("greys out disabled buttons, which still have tooltips but can't be pushed", () => {
+            wrapper.setProps({ titlebarButtons: ['minimize', 'maximize', { type: 'close', disabled: true }] });
+
+            expect(wrapper.find('.react-win32dialog-titlebar-button-disabled').length).toBe(1);
+            expect(wrapper.instance().isSystemCommandEnabled(systemCommands.close)).toBeFalsy();
+
+            wrapper.instance().cursorOnTitlebarButtons = true;
+            wrapper.instance().hoverTitlebarButton = 2;
+            wrapper.instance().pushTitlebarButton();
+            expect(wrapper.state('activeTitlebarButton')).toBe(NO_VALUE);
+            expect(wrapper.instance().showTooltip({ x: 0, y: 0 }, 1)).toBeTruthy();
+            expect(wrapper.state('tooltipArgs').msg).toBe(Win32Dialog.tooltipMessages[titlebarButtons.close]);
+        });
     }); 
 });
 
@@ -471,6 +854,33 @@ describe('<Tooltip />', () => {
     });
 });
 
+describe('<SystemMenu />', () => {
+    const testItems = [
+        { label: '&Restore', disabled: true },
+        { separator: true },
+        { label: '&Close', shortcut: 'Alt+F4', isDefault: true }
+    ];
+
+    it('returns null if no position is defined', () => {
+        expect(shallow(<SystemMenu items={testItems}/>).type()).toBeNull();
+    });
+
+    it('renders the items and the separators', () => {
+        const menu = mount(<SystemMenu position={{x: 1, y: 1}} items={testItems} selected={2}/>);
+
+        expect(menu.find('.react-win32dialog-system-menu-item').length).toBe(2);
+        expect(menu.find('.react-win32dialog-system-menu-separator').length).toBe(1);
+        expect(menu.find('.react-win32dialog-system-menu-item-disabled').text()).toBe('Restore');
+        expect(menu.find('.react-win32dialog-system-menu-item-selected').text()).toBe('CloseAlt+F4');
+    });
+
+    it('underlines the mnemonic character', () => {
+        const menu = mount(<SystemMenu position={{x: 1, y: 1}} items={testItems}/>);
+
+        expect(menu.find('u').map(node => node.text())).toEqual(['R', 'C']);
+    });
+});
+
 describe('<Titlebar />', () => {
     it('renders a single border div', () => {
         const divNode = shallow(<TitlebarButton />).find('div');
@@ -504,13 +914,97 @@ describe('<Titlebar />', () => {
 });
 
 
+describe('themes', () => {
+    const buttonIcons = (wrapper) => (
+        wrapper.find('.react-win32dialog-titlebar-button img').map(img => img.prop('src'))
+    );
+    let wrapper;
+
+    afterEach(() => {
+        wrapper.unmount();
+    });
+
+    it('uses the classic theme by default', () => {
+        const { icons } = themes.classic;
+
+        wrapper = mount(<Win32Dialog/>);
+
+        expect(wrapper.find('.react-win32dialog-outer-border').hasClass('react-win32dialog-theme-classic')).toBeTruthy();
+        expect(buttonIcons(wrapper)).toEqual([icons.minimize, icons.maximize, icons.close]);
+    });
+
+    it('applies the variables and the button images of the theme prop', () => {
+        const { icons, variables } = themes.luna;
+
+        wrapper = mount(<Win32Dialog theme='luna'/>);
+
+        const border = wrapper.find('.react-win32dialog-outer-border');
+
+        expect(border.hasClass('react-win32dialog-theme-luna')).toBeTruthy();
+        expect(border.prop('style')).toMatchObject(variables);
+        expect(variables).toHaveProperty('--react-win32dialog-fixed-border-width');
+        expect(variables).toHaveProperty('--react-win32dialog-fixed-border-style');
+
+        wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+        wrapper.update();
+        expect(buttonIcons(wrapper)).toEqual([icons.minimize, icons.restore, icons.close]);
+    });
+
+    it('takes the theme from the closest provider, unless the theme prop is defined', () => {
+        wrapper = mount(
+            <Win32ThemeProvider theme='win7basic'>
+                <Win32Dialog title='Provided'/>
+                <Win32Dialog title='Own' theme='luna'/>
+                <Win32Taskbar/>
+            </Win32ThemeProvider>
+        );
+
+        expect(wrapper.find(Win32Dialog).map(w => w.instance().theme.name)).toEqual(['win7basic', 'luna']);
+        expect(wrapper.find('.react-win32dialog-taskbar').hasClass('react-win32dialog-theme-win7basic')).toBeTruthy();
+    });
+
+    it('resolves the theme of a provider only when its theme prop changes', () => {
+        const mine = { name: 'mine', variables: {} };
+
+        wrapper = mount(<Win32ThemeProvider theme={mine}><Win32Dialog/></Win32ThemeProvider>);
+
+        const resolved = wrapper.state('theme');
+
+        wrapper.setProps({ theme: mine });
+        expect(wrapper.state('theme')).toBe(resolved);
+
+        wrapper.setProps({ theme: 'luna' });
+        expect(wrapper.state('theme')).toBe(themes.luna);
+        expect(wrapper.find(Win32Dialog).instance().theme).toBe(themes.luna);
+    });
+
+    it('supports custom themes, with classic images for the buttons they leave out', () => {
+        const mine = {
+            name: 'mine',
+            variables: { '--react-win32dialog-face': 'pink' },
+            icons: { close: 'close.svg' }
+        };
+
+        wrapper = mount(<Win32Dialog theme={mine}/>);
+
+        expect(wrapper.find('.react-win32dialog-outer-border').prop('style'))
+            .toMatchObject({ '--react-win32dialog-face': 'pink' });
+        expect(buttonIcons(wrapper)).toEqual([themes.classic.icons.minimize,
+                                              themes.classic.icons.maximize,
+                                              'close.svg']);
+    });
+});
+
 describe('WindowManager', () => {
     const wm = Win32Dialog.windowManager;
     const event_map = {
         'mousemove': '_onMouseMove',
         'mouseup': '_onMouseUp',
         'mousedown': '_onMouseDown',
+        'click': '_onClick',
         'dblclick': '_onDoubleClick',
+        'keydown': '_onKeyDown',
+        'keyup': '_onKeyUp',
         'resize': '_onResize'
     };
     let evListenerCnt = 0, simulateWM = {}, wrapper;
@@ -664,9 +1158,9 @@ describe('WindowManager', () => {
             it('active window is set on mousedown and unset mouseup', () => {
                 //wrapper.find('.react-win32dialog-titlebar').simulate('mouseenter');
                 simulateWM['mousedown'](defaultEvent);
-                expect(wm.activeWindow).toBe(0);
+                expect(wm.activeWindow).toBe(wrapper.instance().id);
                 simulateWM['mouseup'](defaultEvent);
-                expect(wm.activeWindow).toBe(NO_VALUE);
+                expect(wm.activeWindow).toBeNull();
                 //wrapper.find('.react-win32dialog-titlebar-buttons').simulate('mouseenter');
             });
 
@@ -702,6 +1196,57 @@ describe('WindowManager', () => {
                 simulateWM['mouseup'](defaultEvent);
             });
 
+            it("doesn't move dialogs that aren't movable", () => {
+                wrapper.setProps({ movable: false });
+                wrapper.find('.react-win32dialog-titlebar').simulate('mouseenter');
+                simulateWM['mousedown'](defaultEvent);
+                expect(wm.moveAction).toBe(wm._defaultMouseMove);
+                simulateWM['mouseup'](defaultEvent);
+                expect(wrapper.instance().isSystemCommandEnabled(systemCommands.move)).toBeFalsy();
+            });
+
+            it("doesn't resize or maximize dialogs that aren't resizable", () => {
+                wrapper.setProps({ resizable: false });
+                simulateWM['mousemove']({clientX: 2, clientY: 2});
+                expect(wm.currCursor).toBe(cursorState.regular);
+                simulateWM['mousedown'](defaultEvent);
+                expect(wm.moveAction).not.toBe(wm._resizeWindow);
+                simulateWM['mouseup'](defaultEvent);
+
+                const border = wrapper.find('.react-win32dialog-outer-border-fixed');
+
+                expect(border.length).toBe(1);
+                expect(border.prop('style').borderWidth).toBeUndefined();
+
+                const wide = mount(<Win32Dialog resizable={false} borderWidth={5}/>);
+
+                expect(wide.find('.react-win32dialog-outer-border').prop('style').borderWidth).toBe(5);
+                wide.unmount();
+                expect(wrapper.instance().isSystemCommandEnabled(systemCommands.size)).toBeFalsy();
+                expect(wrapper.instance().isSystemCommandEnabled(systemCommands.maximize)).toBeFalsy();
+            });
+
+            it('calls the handler of custom titlebar buttons, unless they are disabled', () => {
+                const onClick = jest.fn(),
+                      click = () => {
+                          simulateWM['mousemove']({clientX: wrapper.instance().rc.width - 10, clientY: 10});
+                          simulateWM['mousedown'](defaultEvent);
+                          simulateWM['mouseup'](defaultEvent);
+                      };
+
+                wrapper.setProps({ titlebarButtons: [{ icon: 'help.png', onClick, disabled: true }] });
+                wrapper.find('.react-win32dialog-titlebar').simulate('mouseenter');
+                wrapper.find('.react-win32dialog-titlebar-buttons').simulate('mouseenter');
+                wrapper.find('TitlebarButton').find('div').simulate('mouseenter');
+
+                click();
+                expect(onClick).not.toHaveBeenCalled();
+
+                wrapper.setProps({ titlebarButtons: [{ icon: 'help.png', onClick }] });
+                click();
+                expect(onClick).toHaveBeenCalledTimes(1);
+            });
+
             /*it('', () => {
                 
             });*/
@@ -712,6 +1257,1360 @@ describe('WindowManager', () => {
         });
     });
 
+    describe('help mode', () => {
+        const press = (target) => ({
+            clientX: 2,
+            clientY: 2,
+            button: 0,
+            target,
+            preventDefault: () => {}
+        });
+        let onHelp;
+
+        beforeEach(() => {
+            onHelp = jest.fn();
+            wrapper = mount(
+                <Win32Dialog titlebarButtons={['help', 'close']} onHelp={onHelp}>
+                    <input />
+                </Win32Dialog>
+            );
+            wrapper.instance().clickTitlebarButton(0);
+        });
+
+        afterEach(() => {
+            wrapper.unmount();
+        });
+
+        it('asks for help on the element that is clicked after the help button', () => {
+            const input = wrapper.find('input').getDOMNode(),
+                  click = { stopPropagation: jest.fn(), preventDefault: () => {} };
+
+            expect(document.body.style.cursor).toBe('help');
+            expect(wrapper.update().find('.react-win32dialog-help-mode').length).toBe(1);
+
+            simulateWM['mousedown'](press(input));
+            simulateWM['mouseup'](press(input));
+            expect(onHelp).toHaveBeenCalledWith(input);
+            expect(document.body.style.cursor).toBe('default');
+            expect(wrapper.state('helpMode')).toBeFalsy();
+
+            //only the click of the help press is stopped
+            simulateWM['click'](click);
+            simulateWM['click'](click);
+            expect(click.stopPropagation).toHaveBeenCalledTimes(1);
+        });
+
+        it('is cancelled by the Escape key and by clicks outside of the dialog', () => {
+            simulateWM['keydown']({ key: 'Escape', preventDefault: () => {} });
+            expect(wrapper.state('helpMode')).toBeFalsy();
+
+            wrapper.instance().clickTitlebarButton(0);
+            simulateWM['mousedown'](press(document.body));
+            simulateWM['mouseup'](press(document.body));
+            expect(wrapper.state('helpMode')).toBeFalsy();
+            expect(onHelp).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('open prop', () => {
+        it("doesn't register a window that is initially closed", () => {
+            wrapper = mount(<Win32Dialog defaultOpen={false}/>);
+            expect(wm.stack.length).toBe(0);
+            expect(evListenerCnt).toBe(0);
+            wrapper.unmount();
+        });
+
+        it('registers the window again when it gets reopened', () => {
+            wrapper = mount(<Win32Dialog open={true} x={30} y={40}/>);
+            wrapper.instance().updateWindowPosition({ x: 60, y: 70 });
+
+            wrapper.setProps({ open: false });
+            expect(wm.stack.length).toBe(0);
+
+            wrapper.setProps({ open: true });
+            expect(wm.stack.length).toBe(1);
+            expect(wrapper.state('hasFocus')).toBeTruthy();
+            expect(wrapper.state('left')).toBe(60);
+            expect(wrapper.state('top')).toBe(70);
+
+            wrapper.unmount();
+            expect(wm.stack.length).toBe(0);
+        });
+    });
+
+    describe('modal windows', () => {
+        const defaultEvent = {
+            clientX: 2,
+            clientY: 2,
+            button: 0,
+            preventDefault: () => {}
+        };
+        let modeless, modal;
+
+        beforeEach(() => {
+            modeless = mount(<Win32Dialog />);
+            modal = mount(<Win32Dialog modal={true}/>);
+        });
+
+        afterEach(() => {
+            modeless.unmount();
+            modal.unmount();
+        });
+
+        it('renders an overlay right below the modal window', () => {
+            const overlay = modal.find('.react-win32dialog-modal-overlay');
+
+            expect(overlay.length).toBe(1);
+            expect(overlay.getDOMNode().style['z-index']).toBe(String(wm.zIndexBase + modal.state('zIndex')));
+            expect(modal.find('.react-win32dialog-outer-border').getDOMNode().style['z-index'])
+                .toBe(String(wm.zIndexBase + modal.state('zIndex')));
+            expect(modeless.find('.react-win32dialog-modal-overlay').length).toBe(0);
+        });
+
+        it('stacks the windows from the configured z-index base', () => {
+            windowManager.setZIndexBase(100);
+            expect(modal.update().find('.react-win32dialog-outer-border').getDOMNode().style['z-index'])
+                .toBe(String(100 + modal.state('zIndex')));
+
+            windowManager.setZIndexBase(1000);
+        });
+
+        it('stays modal or modeless while it is open', () => {
+            modeless.setProps({ modal: true });
+            expect(modeless.instance().isModal).toBeFalsy();
+            expect(modeless.find('.react-win32dialog-modal-overlay').length).toBe(0);
+
+            modeless.setProps({ open: false });
+            modeless.setProps({ open: true });
+            expect(modeless.instance().isModal).toBeTruthy();
+            expect(modeless.find('.react-win32dialog-modal-overlay').length).toBe(1);
+            expect(wm._getTopWindow() === modeless.instance()).toBeTruthy();
+        });
+
+        it("doesn't bring other windows above the modal window", () => {
+            modeless.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            simulateWM['mousedown'](defaultEvent);
+            simulateWM['mouseup'](defaultEvent);
+
+            expect(modal.state('zIndex')).toBe(1);
+            expect(modal.state('hasFocus')).toBeTruthy();
+            expect(modeless.state('hasFocus')).toBeFalsy();
+            modeless.find('.react-win32dialog-outer-border').simulate('mouseleave');
+        });
+
+        it('flashes the titlebar of the modal window when the user clicks outside of it', () => {
+            simulateWM['mousedown'](defaultEvent);
+            simulateWM['mouseup'](defaultEvent);
+
+            expect(modal.state('flashToggled')).toBeTruthy();
+            expect(modal.update().find('.react-win32dialog-titlebar-focused').length).toBe(0);
+            jest.runAllTimers();
+            expect(modal.state('flashToggled')).toBeFalsy();
+            expect(modal.state('hasFocus')).toBeTruthy();
+        });
+
+        it('registers new modeless windows below the modal window', () => {
+            const other = mount(<Win32Dialog />);
+
+            expect(other.state('zIndex')).toBe(1);
+            expect(other.state('hasFocus')).toBeFalsy();
+            expect(modal.state('zIndex')).toBe(2);
+            expect(modal.state('hasFocus')).toBeTruthy();
+            other.unmount();
+            expect(modal.state('zIndex')).toBe(1);
+        });
+
+        it('gives focus back to the top window when the modal window closes', () => {
+            modal.instance().handleTitlebarButtonClick(titlebarButtons.close);
+            expect(modeless.state('hasFocus')).toBeTruthy();
+            expect(modal.update().find('.react-win32dialog-modal-overlay').length).toBe(0);
+        });
+    });
+
+    describe('system menu', () => {
+        const rightClick = {
+            clientX: 30,
+            clientY: 10,
+            button: 2,
+            preventDefault: () => {}
+        };
+        const keyEvent = (key, altKey = false) => ({
+            key,
+            altKey,
+            preventDefault: () => {}
+        });
+        const menuItem = (label) => wrapper.update()
+                                           .find('.react-win32dialog-system-menu-item')
+                                           .filterWhere(item => item.text() === label);
+
+        beforeEach(() => {
+            wrapper = mount(<Win32Dialog
+                systemMenuItems={[{ label: '&About', onClick: jest.fn() }]}
+            />);
+        });
+
+        afterEach(() => {
+            wrapper.unmount();
+        });
+
+        it('opens on right-click on the titlebar', () => {
+            wrapper.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            wrapper.find('.react-win32dialog-titlebar').simulate('mouseenter');
+            simulateWM['mousedown'](rightClick);
+            simulateWM['mouseup'](rightClick);
+
+            expect(wrapper.state('systemMenu').position).toMatchObject({ x: 30, y: 10 });
+            expect(wrapper.update().find('.react-win32dialog-system-menu').length).toBe(1);
+
+            simulateWM['keydown'](keyEvent('Escape'));
+            expect(wrapper.state('systemMenu').position).toBeNull();
+        });
+
+        it('opens on Alt+Space and closes on a click outside of it', () => {
+            simulateWM['keydown'](keyEvent(' ', true));
+            expect(wrapper.state('systemMenu').position).toBeTruthy();
+
+            simulateWM['mousedown']({ ...rightClick, button: 0 });
+            expect(wrapper.state('systemMenu').position).toBeNull();
+        });
+
+        it('disables the items that depend on the window state', () => {
+            simulateWM['keydown'](keyEvent(' ', true));
+            expect(menuItem('Restore').hasClass('react-win32dialog-system-menu-item-disabled')).toBeTruthy();
+            expect(menuItem('Maximize').hasClass('react-win32dialog-system-menu-item-disabled')).toBeFalsy();
+
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            expect(menuItem('Restore').hasClass('react-win32dialog-system-menu-item-disabled')).toBeFalsy();
+            expect(menuItem('Move').hasClass('react-win32dialog-system-menu-item-disabled')).toBeTruthy();
+            expect(menuItem('Size').hasClass('react-win32dialog-system-menu-item-disabled')).toBeTruthy();
+            expect(menuItem('Maximize').hasClass('react-win32dialog-system-menu-item-disabled')).toBeTruthy();
+        });
+
+        it('runs the command of the selected item on Enter', () => {
+            simulateWM['keydown'](keyEvent(' ', true));
+            simulateWM['keydown'](keyEvent('ArrowUp'));
+            expect(wrapper.instance().getSystemMenuItems()[wrapper.state('systemMenu').selected].label).toBe('&Close');
+
+            simulateWM['keydown'](keyEvent('Enter'));
+            expect(wrapper.html()).toBeNull();
+        });
+
+        it('runs the command of an item by its mnemonic', () => {
+            simulateWM['keydown'](keyEvent(' ', true));
+            simulateWM['keydown'](keyEvent('x'));
+            expect(wrapper.instance().isMaximized).toBeTruthy();
+            expect(wrapper.state('systemMenu').position).toBeNull();
+        });
+
+        it('runs the handlers of the custom items', () => {
+            simulateWM['keydown'](keyEvent(' ', true));
+            menuItem('About').simulate('click');
+            expect(wrapper.prop('systemMenuItems')[0].onClick).toHaveBeenCalled();
+        });
+
+        it('closes the window with Alt+F4', () => {
+            simulateWM['keydown'](keyEvent('F4', true));
+            expect(wrapper.html()).toBeNull();
+        });
+
+        it('moves the window with the mouse after the Move command, until the next click', () => {
+            const { left, top } = wrapper.instance().rc;
+
+            simulateWM['keydown'](keyEvent(' ', true));
+            simulateWM['keydown'](keyEvent('m'));
+            simulateWM['mousemove']({ clientX: 500, clientY: 500 });
+            simulateWM['mousemove']({ clientX: 520, clientY: 510 });
+            expect(wrapper.state('left')).toBe(left + 20);
+            expect(wrapper.state('top')).toBe(top + 10);
+
+            simulateWM['mousedown']({ ...rightClick, button: 0 });
+            simulateWM['mousemove']({ clientX: 600, clientY: 600 });
+            expect(wrapper.state('left')).toBe(left + 20);
+            expect(wm.currCursor).toBe(cursorState.regular);
+        });
+    });
+
+    describe('keyboard move and size', () => {
+        const keyEvent = (key, altKey = false, ctrlKey = false) => ({
+            key,
+            altKey,
+            ctrlKey,
+            preventDefault: () => {}
+        });
+        let geometry;
+
+        beforeEach(() => {
+            wrapper = mount(<Win32Dialog x={100} y={100} width={300} height={200}/>);
+            geometry = wrapper.instance().getGeometry();
+        });
+
+        afterEach(() => {
+            wrapper.unmount();
+        });
+
+        it('moves the window with the arrow keys after Alt+F7', () => {
+            simulateWM['keydown'](keyEvent('F7', true));
+            simulateWM['keydown'](keyEvent('ArrowRight'));
+            simulateWM['keydown'](keyEvent('ArrowRight'));
+            simulateWM['keydown'](keyEvent('ArrowUp'));
+            simulateWM['keydown'](keyEvent('ArrowLeft', false, true));
+
+            expect(wrapper.state('left')).toBe(100 + 2 * WindowManager.keyboardStep - 1);
+            expect(wrapper.state('top')).toBe(100 - WindowManager.keyboardStep);
+
+            simulateWM['keydown'](keyEvent('Enter'));
+            expect(wm.trackingType).toBe(NO_VALUE);
+            simulateWM['keydown'](keyEvent('ArrowRight'));
+            expect(wrapper.state('left')).toBe(100 + 2 * WindowManager.keyboardStep - 1);
+        });
+
+        it('reverts the window to its original geometry on Escape', () => {
+            simulateWM['keydown'](keyEvent('F7', true));
+            simulateWM['keydown'](keyEvent('ArrowDown'));
+            simulateWM['keydown'](keyEvent('Escape'));
+
+            expect(wrapper.instance().getGeometry()).toEqual(geometry);
+            expect(wm.currCursor).toBe(cursorState.regular);
+        });
+
+        it('resizes the edge that is selected by the first arrow key after Alt+F8', () => {
+            simulateWM['keydown'](keyEvent('F8', true));
+            simulateWM['keydown'](keyEvent('ArrowLeft'));
+            expect(wm.trackingType).toBe(cursorState.left);
+            expect(wrapper.state('left')).toBe(100 - WindowManager.keyboardStep);
+            expect(wrapper.state('width')).toBe(300 + WindowManager.keyboardStep);
+
+            simulateWM['keydown'](keyEvent('ArrowRight'));
+            expect(wrapper.state('width')).toBe(300);
+
+            simulateWM['keydown'](keyEvent('ArrowDown'));
+            expect(wm.trackingType).toBe(cursorState.bottomleft);
+            expect(wrapper.state('height')).toBe(200 + WindowManager.keyboardStep);
+
+            simulateWM['keydown'](keyEvent('Escape'));
+            expect(wrapper.instance().getGeometry()).toEqual(geometry);
+        });
+
+        it("doesn't start the size mode if the window is maximized", () => {
+            wrapper.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            simulateWM['keydown'](keyEvent('F8', true));
+            expect(wm.trackingType).toBe(NO_VALUE);
+        });
+    });
+
+    describe('touch input', () => {
+        const touchEvent = (props) => ({
+            clientX: 30,
+            clientY: 20,
+            button: 0,
+            pointerId: 7,
+            pointerType: 'touch',
+            target: {},
+            preventDefault: () => {},
+            ...props
+        });
+
+        beforeEach(() => {
+            wrapper = mount(<Win32Dialog x={0} y={0} width={300} height={200}/>);
+            wrapper.find('.react-win32dialog-outer-border').simulate('pointerenter');
+        });
+
+        afterEach(() => {
+            wrapper.unmount();
+        });
+
+        it('has wider resize areas on the edges', () => {
+            const pos = { x: 8, y: 100 };
+
+            expect(wrapper.instance().getCursorState(pos)).toBe(cursorState.regular);
+            expect(wrapper.instance().getCursorState(pos, true)).toBe(cursorState.left);
+        });
+
+        it('resizes the window from an edge without hovering first', () => {
+            simulateWM['mousedown'](touchEvent({ clientX: 8, clientY: 100 }));
+            expect(wm.moveAction).toBe(wm._resizeWindow);
+            expect(wm.currCursor).toBe(cursorState.left);
+            expect(document.body.style.cursor).toBe('w-resize');
+
+            simulateWM['mouseup'](touchEvent({ clientX: 8, clientY: 100 }));
+            expect(wm.currCursor).toBe(cursorState.regular);
+            expect(document.body.style.cursor).toBe('default');
+        });
+
+        it('gives pen pointers the same resize areas as touch pointers', () => {
+            simulateWM['mousedown'](touchEvent({ clientX: 8, clientY: 100, pointerType: 'pen' }));
+            expect(wm.moveAction).toBe(wm._resizeWindow);
+
+            simulateWM['mouseup'](touchEvent({ clientX: 8, clientY: 100, pointerType: 'pen' }));
+            expect(wm.currCursor).toBe(cursorState.regular);
+        });
+
+        it('captures the pointer that moves the window', () => {
+            const setPointerCapture = jest.fn();
+
+            wrapper.find('.react-win32dialog-titlebar').simulate('pointerenter');
+            simulateWM['mousedown'](touchEvent({ target: { setPointerCapture } }));
+            expect(setPointerCapture).toHaveBeenCalledWith(7);
+            simulateWM['mouseup'](touchEvent());
+        });
+
+        it('ignores the events of a second pointer', () => {
+            wrapper.find('.react-win32dialog-titlebar').simulate('pointerenter');
+            simulateWM['mousedown'](touchEvent());
+            simulateWM['mousedown'](touchEvent({ pointerId: 8, clientX: 100 }));
+            simulateWM['mouseup'](touchEvent({ pointerId: 8, clientX: 100 }));
+            expect(wm.activeWindow).toBe(wrapper.instance().id);
+            expect(wm.lastPress).toEqual({ clientX: 30, clientY: 20 });
+            expect(wm.moveAction).toBe(wm._moveWindow);
+
+            simulateWM['mouseup'](touchEvent());
+            expect(wm.activeWindow).toBeNull();
+            expect(wm.activePointerId).toBe(NO_VALUE);
+        });
+
+        it('opens the system menu on a long press on the titlebar', () => {
+            wrapper.find('.react-win32dialog-titlebar').simulate('pointerenter');
+            simulateWM['mousedown'](touchEvent());
+            jest.runOnlyPendingTimers();
+            simulateWM['mouseup'](touchEvent());
+
+            expect(wrapper.state('systemMenu').position).toMatchObject({ x: 30, y: 20 });
+            wm.closeSystemMenu();
+        });
+
+        it("doesn't open the system menu if the press turns into a drag", () => {
+            const left = wrapper.state('left');
+
+            wrapper.find('.react-win32dialog-titlebar').simulate('pointerenter');
+            simulateWM['mousedown'](touchEvent());
+            simulateWM['mousemove'](touchEvent({ clientX: 60 }));
+            jest.runOnlyPendingTimers();
+            simulateWM['mouseup'](touchEvent({ clientX: 60 }));
+
+            expect(wrapper.state('systemMenu').position).toBeNull();
+            expect(wrapper.state('left')).toBe(left + 30);
+        });
+    });
+
+    describe('keyboard focus', () => {
+        let container;
+
+        beforeEach(() => {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+        });
+
+        afterEach(() => {
+            wrapper.detach();
+            document.body.removeChild(container);
+        });
+
+        it('renders the border as a dialog that is labelled by its title', () => {
+            wrapper = mount(<Win32Dialog title='Labelled' modal/>, { attachTo: container });
+
+            const border = wrapper.find('.react-win32dialog-outer-border');
+            const titleId = border.prop('aria-labelledby');
+
+            expect(border.prop('role')).toBe('dialog');
+            expect(border.prop('aria-modal')).toBe(true);
+            expect(border.prop('tabIndex')).toBe(-1);
+            expect(document.getElementById(titleId).textContent).toBe('Labelled');
+        });
+
+        it('moves focus into the dialog when it opens and returns it when the dialog closes', () => {
+            const button = document.createElement('button');
+
+            document.body.appendChild(button);
+            button.focus();
+
+            wrapper = mount(<Win32Dialog open={false}><input className='first'/></Win32Dialog>, { attachTo: container });
+            wrapper.setProps({ open: true });
+            expect(document.activeElement.className).toBe('first');
+
+            wrapper.setProps({ open: false });
+            expect(document.activeElement === button).toBeTruthy();
+
+            document.body.removeChild(button);
+        });
+
+        it("doesn't take the focus from the page when it's mounted open, unless it's modal", () => {
+            const button = document.createElement('button');
+
+            document.body.appendChild(button);
+            button.focus();
+
+            wrapper = mount(<Win32Dialog><input className='first'/></Win32Dialog>, { attachTo: container });
+            expect(wrapper.state('hasFocus')).toBeTruthy();
+            expect(document.activeElement === button).toBeTruthy();
+
+            //it takes the focus once the user brings it to the top
+            wrapper.instance().updateWindowFocus(false);
+            wrapper.instance().updateWindowFocus(true);
+            expect(document.activeElement.className).toBe('first');
+            wrapper.detach();
+
+            button.focus();
+            wrapper = mount(<Win32Dialog modal><input className='first'/></Win32Dialog>, { attachTo: container });
+            expect(document.activeElement.className).toBe('first');
+
+            wrapper.instance().close();
+            expect(document.activeElement === button).toBeTruthy();
+
+            document.body.removeChild(button);
+        });
+
+        it('traps Tab inside modal dialogs', () => {
+            wrapper = mount(
+                <Win32Dialog modal>
+                    <input className='first'/>
+                    <input className='last'/>
+                </Win32Dialog>,
+                { attachTo: container }
+            );
+            const border = wrapper.find('.react-win32dialog-outer-border');
+
+            container.querySelector('.last').focus();
+            border.simulate('keydown', { key: 'Tab' });
+            expect(document.activeElement.className).toBe('first');
+
+            border.simulate('keydown', { key: 'Tab', shiftKey: true });
+            expect(document.activeElement.className).toBe('last');
+        });
+    });
+
+    describe('window switching', () => {
+        const keyEvent = (key, props) => ({
+            key,
+            altKey: true,
+            preventDefault: () => {},
+            ...props
+        });
+        let first, second, third;
+
+        beforeEach(() => {
+            first = mount(<Win32Dialog title='First'/>);
+            second = mount(<Win32Dialog title='Second'/>);
+            third = mount(<Win32Dialog title='Third'/>);
+        });
+
+        afterEach(() => {
+            first.unmount();
+            second.unmount();
+            third.unmount();
+        });
+
+        it('cycles through the windows until the modifier is released', () => {
+            simulateWM['keydown'](keyEvent('F6'));
+            expect(third.state('switcher').selected).toBe(1);
+            expect(third.update().find('.react-win32dialog-switcher-title').text()).toBe('Second');
+
+            simulateWM['keydown'](keyEvent('F6'));
+            expect(third.update().find('.react-win32dialog-switcher-title').text()).toBe('First');
+
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(third.state('switcher').items).toBeNull();
+            expect(first.state('hasFocus')).toBeTruthy();
+            expect(first.state('zIndex')).toBe(wm.stack.length - 1);
+        });
+
+        it('switches in the opposite direction with Shift', () => {
+            simulateWM['keydown'](keyEvent('F6', { shiftKey: true }));
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(first.state('hasFocus')).toBeTruthy();
+        });
+
+        it('orders the windows by how recently they had focus', () => {
+            simulateWM['keydown'](keyEvent('F6'));
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(second.state('hasFocus')).toBeTruthy();
+
+            //switching again goes back to the window that had focus before
+            simulateWM['keydown'](keyEvent('F6'));
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(third.state('hasFocus')).toBeTruthy();
+        });
+
+        it('cancels switching on Escape', () => {
+            simulateWM['keydown'](keyEvent('F6'));
+            simulateWM['keydown'](keyEvent('Escape'));
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(third.state('hasFocus')).toBeTruthy();
+            expect(third.state('switcher').items).toBeNull();
+        });
+
+        it('uses the configured hotkey', () => {
+            const defaultHotkey = wm.switchHotkey;
+
+            windowManager.setSwitchHotkey({ key: '`', ctrlKey: true });
+            simulateWM['keydown'](keyEvent('F6'));
+            expect(wm.switchList).toBeNull();
+
+            simulateWM['keydown'](keyEvent('`', { altKey: false, ctrlKey: true }));
+            simulateWM['keyup'](keyEvent('Control', { altKey: false, ctrlKey: false }));
+            expect(second.state('hasFocus')).toBeTruthy();
+
+            windowManager.setSwitchHotkey(defaultHotkey);
+        });
+
+        it('leaves tool windows out', () => {
+            const tool = mount(<Win32Dialog title='Tool' variant='tool'/>);
+
+            //the tool window has focus, so the first press selects the top window
+            simulateWM['keydown'](keyEvent('F6'));
+            expect(wm.switchList.map(w => w.getCaption().title)).toEqual(['Third', 'Second', 'First']);
+            simulateWM['keyup'](keyEvent('Alt', { altKey: false }));
+            expect(third.state('hasFocus')).toBeTruthy();
+
+            tool.unmount();
+        });
+
+        it("doesn't switch while a modal window is open", () => {
+            const modal = mount(<Win32Dialog modal/>);
+
+            simulateWM['keydown'](keyEvent('F6'));
+            expect(wm.switchList).toBeNull();
+            expect(modal.state('hasFocus')).toBeTruthy();
+
+            modal.unmount();
+        });
+    });
+
+    describe('taskbar', () => {
+        let first, second, taskbar;
+        const buttons = () => taskbar.update().find('.react-win32dialog-taskbar-button');
+
+        beforeEach(() => {
+            first = mount(<Win32Dialog title='First'/>);
+            second = mount(<Win32Dialog title='Second'/>);
+            taskbar = mount(<Win32Taskbar/>);
+        });
+
+        afterEach(() => {
+            taskbar.unmount();
+            first.unmount();
+            second.unmount();
+        });
+
+        it('has a button for every window, except the owned ones and the tool windows', () => {
+            expect(buttons().at(1).hasClass('react-win32dialog-taskbar-button-active')).toBeTruthy();
+
+            const owned = mount(<Win32Dialog owner={{ current: first.instance() }}/>),
+                  tool = mount(<Win32Dialog title='Tool' variant='tool'/>);
+
+            expect(buttons().map(button => button.text())).toEqual(['First', 'Second']);
+
+            tool.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            expect(tool.instance().isMinimized).toBeTruthy();
+            expect(tool.instance().isMinimizedToTaskbar).toBeFalsy();
+
+            tool.unmount();
+            owned.unmount();
+        });
+
+        it('hides minimized windows and gives focus to the next window', () => {
+            second.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+
+            expect(second.state('hiddenInTaskbar')).toBeTruthy();
+            expect(second.state('width')).toBe(second.instance().rc.width);
+            expect(second.update().find('.react-win32dialog-outer-border').prop('style').display).toBe('none');
+            expect(first.state('hasFocus')).toBeTruthy();
+        });
+
+        it('restores minimized windows when their button is clicked', () => {
+            second.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            buttons().at(1).simulate('click');
+
+            expect(second.state('hiddenInTaskbar')).toBeFalsy();
+            expect(second.state('hasFocus')).toBeTruthy();
+        });
+
+        it('focuses the window of a button, or minimizes it if it has focus', () => {
+            buttons().at(0).simulate('click');
+            expect(first.state('hasFocus')).toBeTruthy();
+
+            buttons().at(0).simulate('click');
+            expect(first.instance().isMinimizedToTaskbar).toBeTruthy();
+        });
+
+        it("doesn't take focus from the windows when it's clicked", () => {
+            taskbar.find('.react-win32dialog-taskbar').simulate('mouseenter');
+            simulateWM['mousedown']({ clientX: 10, clientY: 500, button: 0, preventDefault: () => {} });
+            expect(second.state('hasFocus')).toBeTruthy();
+            taskbar.find('.react-win32dialog-taskbar').simulate('mouseleave');
+        });
+
+        it('opens the system menu of a window above the cursor on right-click', () => {
+            buttons().at(0).simulate('contextmenu', { clientX: 20, clientY: 590 });
+
+            expect(first.state('systemMenu').position).toMatchObject({ x: 20, y: 590, above: true });
+            wm.closeSystemMenu();
+        });
+
+        it("keeps the maximized and docked windows off the taskbar", () => {
+            Object.defineProperty(document.body, 'clientHeight', { value: 600, configurable: true });
+            Object.defineProperty(document.documentElement, 'clientHeight', { value: 600, configurable: true });
+            Object.defineProperty(document.documentElement, 'clientWidth', { value: 800, configurable: true });
+
+            first.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            expect(first.state('height')).toBe(600 - WindowManager.taskbarHeight);
+            expect(wm.getWorkArea().height).toBe(600 - WindowManager.taskbarHeight);
+
+            taskbar.unmount();
+            expect(first.state('height')).toBe(600);
+            expect(wm.getWorkArea().height).toBe(600);
+
+            taskbar = mount(<Win32Taskbar/>);
+            expect(first.state('height')).toBe(600 - WindowManager.taskbarHeight);
+
+            delete document.body.clientHeight;
+            delete document.documentElement.clientHeight;
+            delete document.documentElement.clientWidth;
+        });
+
+        it('adds the class names and the inline style of its props', () => {
+            taskbar.setProps({ className: 'mine', style: { background: 'navy' } });
+
+            const bar = taskbar.find('.react-win32dialog-taskbar');
+
+            expect(bar.hasClass('mine')).toBeTruthy();
+            expect(bar.prop('style')).toMatchObject({ background: 'navy', zIndex: wm.zIndexBase + wm.getStackSize() });
+        });
+
+        it('restores the hidden windows when it unmounts', () => {
+            second.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            taskbar.unmount();
+            expect(second.instance().isMinimized).toBeFalsy();
+            expect(second.state('hiddenInTaskbar')).toBeFalsy();
+            taskbar = mount(<Win32Taskbar/>);
+        });
+    });
+
+    describe('public API', () => {
+        let first, second;
+
+        beforeEach(() => {
+            first = mount(<Win32Dialog title='First'/>);
+            second = mount(<Win32Dialog title='Second'/>);
+        });
+
+        afterEach(() => {
+            first.unmount();
+            second.unmount();
+        });
+
+        it('lists the open windows in the order they were opened', () => {
+            const windows = windowManager.getWindows();
+
+            expect(windows.map(w => w.title)).toEqual(['First', 'Second']);
+            expect(windows[0]).toMatchObject({
+                id: first.instance().id,
+                zIndex: 0,
+                ownerId: null,
+                hasFocus: false,
+                isMinimized: false,
+                isMaximized: false,
+                isModal: false
+            });
+            expect(windows[1].hasFocus).toBeTruthy();
+        });
+
+        it('focuses windows by their id, and restores them', () => {
+            const id = first.instance().id;
+
+            first.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            windowManager.focus(id);
+
+            expect(first.state('hasFocus')).toBeTruthy();
+            expect(first.instance().isMinimized).toBeFalsy();
+            expect(windowManager.getWindows()[0].zIndex).toBe(1);
+        });
+
+        it('closes windows by their id', () => {
+            windowManager.close(first.instance().id);
+            expect(first.instance().isOpen()).toBeFalsy();
+            expect(windowManager.getWindows().map(w => w.title)).toEqual(['Second']);
+        });
+
+        it('minimizes and closes all the windows', () => {
+            windowManager.minimizeAll();
+            expect(windowManager.getWindows().every(w => w.isMinimized)).toBeTruthy();
+
+            windowManager.closeAll();
+            expect(windowManager.getWindows().length).toBe(0);
+        });
+
+        it('notifies the subscribers when the windows change', () => {
+            const listener = jest.fn();
+            const unsubscribe = windowManager.subscribe(listener);
+
+            windowManager.focus(first.instance().id);
+            expect(listener).toHaveBeenCalled();
+            expect(listener.mock.calls[listener.mock.calls.length - 1][0][0].hasFocus).toBeTruthy();
+
+            listener.mockClear();
+            unsubscribe();
+            windowManager.focus(second.instance().id);
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('arrangement', () => {
+        const docElement = document.documentElement;
+        let first, second;
+
+        beforeEach(() => {
+            Object.defineProperty(docElement, 'clientWidth', { value: 800, configurable: true });
+            Object.defineProperty(docElement, 'clientHeight', { value: 600, configurable: true });
+        });
+
+        afterEach(() => {
+            first.unmount();
+            second.unmount();
+            delete docElement.clientWidth;
+            delete docElement.clientHeight;
+        });
+
+        it('cascades and tiles the windows within the viewport', () => {
+            first = mount(<Win32Dialog/>);
+            second = mount(<Win32Dialog/>);
+
+            windowManager.cascade();
+            expect(first.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 600, height: 450 });
+            expect(second.instance().getGeometry()).toEqual({ x: 24, y: 24, width: 600, height: 450 });
+            expect(second.state('hasFocus')).toBeTruthy();
+
+            windowManager.tileVertically();
+            expect(second.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 400, height: 600 });
+            expect(first.instance().getGeometry()).toEqual({ x: 400, y: 0, width: 400, height: 600 });
+        });
+
+        it("doesn't move or resize the windows that the user can't", () => {
+            first = mount(<Win32Dialog x={10} y={20} movable={false}/>);
+            second = mount(<Win32Dialog width={200} height={100} resizable={false}/>);
+
+            windowManager.cascade();
+            expect(first.instance().getGeometry()).toEqual({ x: 10, y: 20, width: 600, height: 450 });
+            expect(second.instance().getGeometry()).toEqual({ x: 24, y: 24, width: 200, height: 100 });
+        });
+
+        it("splits the tiles into a grid instead of going below the windows' minimum size", () => {
+            first = mount(<Win32Dialog minHeight={400}/>);
+            second = mount(<Win32Dialog minHeight={400}/>);
+
+            windowManager.tileHorizontally();
+            expect(second.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 400, height: 600 });
+            expect(first.instance().getGeometry()).toEqual({ x: 400, y: 0, width: 400, height: 600 });
+        });
+
+        it('restores maximized windows and keeps windows inside their boundary', () => {
+            const boundary = document.createElement('div');
+
+            boundary.getBoundingClientRect = () => ({ left: 0, top: 0, right: 300, bottom: 200 });
+            Object.defineProperty(boundary, 'clientWidth', { value: 300 });
+            Object.defineProperty(boundary, 'clientHeight', { value: 200 });
+
+            first = mount(<Win32Dialog boundary={{ current: boundary }}/>);
+            second = mount(<Win32Dialog/>);
+            second.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+
+            windowManager.tileVertically();
+            expect(second.instance().isMaximized).toBeFalsy();
+            expect(first.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 300, height: 200 });
+        });
+    });
+
+    describe('placement', () => {
+        const docElement = document.documentElement;
+        let dialogs;
+
+        beforeEach(() => {
+            dialogs = [];
+            Object.defineProperty(docElement, 'clientWidth', { value: 800, configurable: true });
+            Object.defineProperty(docElement, 'clientHeight', { value: 600, configurable: true });
+        });
+
+        afterEach(() => {
+            dialogs.reverse().forEach(wrapper => wrapper.unmount());
+            delete docElement.clientWidth;
+            delete docElement.clientHeight;
+        });
+
+        const open = (element) => {
+            const wrapper = mount(element);
+
+            dialogs.push(wrapper);
+            return wrapper.instance().getGeometry();
+        };
+
+        it('cascades new dialogs from the last opened one', () => {
+            expect(open(<Win32Dialog placement='cascade'/>)).toMatchObject({ x: 0, y: 0 });
+            expect(open(<Win32Dialog x={100} y={50}/>)).toMatchObject({ x: 100, y: 50 });
+            expect(open(<Win32Dialog placement='cascade'/>)).toMatchObject({ x: 124, y: 74 });
+        });
+
+        it('centers dialogs in the viewport, or on their owner', () => {
+            const onMove = jest.fn();
+
+            expect(open(<Win32Dialog placement='center' width={200} height={100} onMove={onMove}/>))
+                .toEqual({ x: 300, y: 250, width: 200, height: 100 });
+            expect(onMove).toHaveBeenCalledTimes(1);
+
+            const owner = dialogs[0].instance();
+
+            expect(open(<Win32Dialog placement='center-owner' owner={owner} width={150} height={50}/>))
+                .toMatchObject({ x: 325, y: 275 });
+        });
+
+        it('places dialogs where the user last clicked, inside the viewport', () => {
+            const press = (clientX, clientY) => simulateWM['mousedown']({
+                clientX,
+                clientY,
+                button: 0,
+                target: document.body,
+                preventDefault: () => {}
+            });
+
+            open(<Win32Dialog x={0} y={0} width={50} height={50}/>);
+
+            press(300, 200);
+            expect(open(<Win32Dialog placement='cursor'/>)).toMatchObject({ x: 300, y: 200 });
+
+            press(790, 590);
+            expect(open(<Win32Dialog placement='cursor' width={200} height={100}/>))
+                .toMatchObject({ x: 600, y: 500 });
+        });
+
+        it("doesn't place dialogs on top of other dialogs", () => {
+            expect(open(<Win32Dialog placement='center' width={200} height={100}/>)).toMatchObject({ x: 300, y: 250 });
+            expect(open(<Win32Dialog placement='center' width={200} height={100}/>)).toMatchObject({ x: 420, y: 370 });
+        });
+
+        it("keeps the titlebars apart if the dialogs can't help overlapping", () => {
+            expect(open(<Win32Dialog placement='center' width={700} height={500}/>)).toMatchObject({ x: 50, y: 50 });
+            expect(open(<Win32Dialog placement='center' width={700} height={500}/>)).toMatchObject({ x: 74, y: 74 });
+        });
+
+        it('only places dialogs when they open for the first time', () => {
+            const wrapper = mount(<Win32Dialog placement='center' open={false} width={200} height={100}/>);
+
+            dialogs.push(wrapper);
+            wrapper.setProps({ open: true });
+            expect(wrapper.instance().getGeometry()).toMatchObject({ x: 300, y: 250 });
+
+            wrapper.instance().setGeometry({ x: 10, y: 20 });
+            wrapper.setProps({ open: false });
+            wrapper.setProps({ open: true });
+            expect(wrapper.instance().getGeometry()).toMatchObject({ x: 10, y: 20 });
+        });
+    });
+
+    describe('docking', () => {
+        //the desktop's client area starts at (100, 50)
+        const event = (x, y) => ({
+            clientX: x + 100,
+            clientY: y + 50,
+            button: 0,
+            preventDefault: () => {}
+        });
+        let desktop, dialog, desktopWM;
+
+        const mountDesktop = (props) => {
+            desktop = mount(
+                <Win32Desktop>
+                    <Win32Dialog x={100} y={100} width={150} height={100} {...props}/>
+                </Win32Desktop>
+            );
+            dialog = desktop.find(Win32Dialog);
+            desktopWM = desktop.instance().manager;
+
+            const container = desktop.instance().containerRef.current;
+
+            container.getBoundingClientRect = () => ({ left: 100, top: 50, right: 500, bottom: 350 });
+            Object.defineProperty(container, 'clientWidth', { value: 400 });
+            Object.defineProperty(container, 'clientHeight', { value: 300 });
+
+            dialog.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            dialog.find('.react-win32dialog-titlebar').simulate('mouseenter');
+        };
+
+        const drag = (from, to) => {
+            desktopWM._onMouseDown(event(...from));
+            desktopWM._onMouseMove(event(...to));
+        };
+
+        afterEach(() => {
+            desktop.unmount();
+        });
+
+        it('shows a preview at the edges, and fills that half when the dialog is dropped', () => {
+            mountDesktop({ dockToEdges: true });
+            drag([110, 110], [2, 110]);
+
+            desktop.update();
+            expect(desktop.find('.react-win32dialog-dock-preview').prop('style'))
+                .toMatchObject({ left: 0, top: 0, width: 200, height: 300 });
+
+            desktopWM._onMouseUp(event(2, 110));
+            expect(dialog.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 200, height: 300 });
+            expect(dialog.instance().state.dockPreview).toBeNull();
+        });
+
+        it('docks to quarters at the corners, and maximizes at the top edge', () => {
+            mountDesktop({ dockToEdges: true });
+            drag([110, 110], [398, 290]);
+            desktopWM._onMouseUp(event(398, 290));
+            expect(dialog.instance().getGeometry()).toEqual({ x: 200, y: 150, width: 200, height: 150 });
+
+            drag([300, 160], [200, 1]);
+            desktopWM._onMouseUp(event(200, 1));
+            expect(dialog.instance().isMaximized).toBeTruthy();
+        });
+
+        it('restores the previous size when a docked dialog is dragged away', () => {
+            mountDesktop({ dockToEdges: true });
+            drag([110, 110], [2, 110]);
+            desktopWM._onMouseUp(event(2, 110));
+
+            //the cursor keeps its relative position on the titlebar
+            drag([100, 10], [200, 150]);
+            desktopWM._onMouseUp(event(200, 150));
+            expect(dialog.instance().getGeometry()).toEqual({ x: 125, y: 140, width: 150, height: 100 });
+        });
+
+        it('stays docked after it is maximized and restored', () => {
+            mountDesktop({ dockToEdges: true });
+            drag([110, 110], [2, 110]);
+            desktopWM._onMouseUp(event(2, 110));
+
+            dialog.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            dialog.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+            expect(dialog.instance().getGeometry()).toEqual({ x: 0, y: 0, width: 200, height: 300 });
+            expect(dialog.instance().isDocked).toBeTruthy();
+
+            drag([100, 10], [200, 150]);
+            desktopWM._onMouseUp(event(200, 150));
+            expect(dialog.instance().getGeometry()).toMatchObject({ width: 150, height: 100 });
+        });
+
+        it("doesn't dock dialogs without the dockToEdges prop", () => {
+            mountDesktop();
+            drag([110, 110], [2, 110]);
+            desktopWM._onMouseUp(event(2, 110));
+
+            expect(dialog.instance().state.dockPreview).toBeNull();
+            expect(dialog.instance().getGeometry()).toEqual({ x: 0, y: 100, width: 150, height: 100 });
+        });
+    });
+
+    describe('window ids', () => {
+        it('uses the id prop', () => {
+            const wrapper = mount(<Win32Dialog id='settings'/>);
+
+            expect(wm.stack).toEqual(['settings']);
+            expect(windowManager.getWindows()[0].id).toBe('settings');
+            expect(wrapper.find('[role="dialog"]').prop('aria-labelledby')).toBe('settings-title');
+            wrapper.unmount();
+        });
+
+        it('reports an id that is already registered, and generates another one', () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {}),
+                  first = mount(<Win32Dialog id='settings'/>),
+                  second = mount(<Win32Dialog id='settings'/>),
+                  secondId = second.instance().id;
+
+            expect(consoleError).toHaveBeenCalledTimes(1);
+            expect(consoleError.mock.calls[0][0]).toMatch("'settings'");
+            consoleError.mockRestore();
+
+            expect(secondId).not.toBe('settings');
+            expect(wm.stack).toEqual(['settings', secondId]);
+            expect(wm.getWindowById('settings') === first.instance()).toBeTruthy();
+            expect(second.update().find('[role="dialog"]').prop('aria-labelledby')).toBe(`${secondId}-title`);
+
+            second.unmount();
+            expect(wm.stack).toEqual(['settings']);
+            first.unmount();
+        });
+
+        it('unregisters the right window after the stack changes', () => {
+            const first = mount(<Win32Dialog id='first'/>),
+                  second = mount(<Win32Dialog id='second'/>),
+                  third = mount(<Win32Dialog id='third'/>);
+
+            wm._bringWindowToTop('first');
+            expect(wm.stack).toEqual(['second', 'third', 'first']);
+
+            third.unmount();
+            expect(wm.stack).toEqual(['second', 'first']);
+            expect(second.state('zIndex')).toBe(0);
+            expect(first.state('zIndex')).toBe(1);
+            expect(first.state('hasFocus')).toBeTruthy();
+
+            first.unmount();
+            second.unmount();
+        });
+    });
+
+    describe('desktops', () => {
+        const event = (clientX, clientY) => ({
+            clientX,
+            clientY,
+            button: 0,
+            preventDefault: () => {}
+        });
+        let desktop, inside, outside, desktopWM;
+
+        beforeEach(() => {
+            outside = mount(<Win32Dialog title='Outside'/>);
+            desktop = mount(
+                <Win32Desktop>
+                    <Win32Dialog title='Inside'/>
+                </Win32Desktop>
+            );
+            inside = desktop.find(Win32Dialog);
+            desktopWM = desktop.instance().manager;
+
+            const container = desktop.instance().containerRef.current;
+
+            container.getBoundingClientRect = () => ({ left: 100, top: 50, right: 500, bottom: 350 });
+            Object.defineProperty(container, 'clientWidth', { value: 400 });
+            Object.defineProperty(container, 'clientHeight', { value: 300 });
+        });
+
+        afterEach(() => {
+            desktop.unmount();
+            outside.unmount();
+        });
+
+        it('registers the dialogs inside it to its own window manager', () => {
+            expect(windowManager.getWindows().map(w => w.title)).toEqual(['Outside']);
+            expect(desktop.instance().windowManager.getWindows().map(w => w.title)).toEqual(['Inside']);
+
+            expect(inside.instance().state.zIndex).toBe(0);
+            expect(inside.instance().state.hasFocus).toBeTruthy();
+            expect(outside.state('zIndex')).toBe(0);
+            expect(outside.state('hasFocus')).toBeTruthy();
+        });
+
+        it('only remembers the presses inside the container for the cursor placement', () => {
+            const container = desktop.instance().containerRef.current;
+
+            desktopWM._onMouseDown({ ...event(600, 400), target: document.body });
+            expect(desktopWM.lastPress).toBeNull();
+
+            desktopWM._onMouseDown({ ...event(200, 100), target: container });
+            expect(desktopWM.lastPress).toEqual({ clientX: 200, clientY: 100 });
+            desktopWM._onMouseUp(event(200, 100));
+        });
+
+        it('moves the dialogs relative to the container, and keeps them inside it', () => {
+            const dialog = inside.instance(),
+                  left = dialog.rc.left;
+
+            inside.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            inside.find('.react-win32dialog-titlebar').simulate('mouseenter');
+
+            desktopWM._onMouseDown(event(130, 70));
+            desktopWM._onMouseMove(event(180, 70));
+            expect(dialog.rc.left).toBe(left + 50);
+
+            desktopWM._onMouseMove(event(2000, 70));
+            desktopWM._onMouseUp(event(2000, 70));
+            expect(dialog.rc.left).toBe(400 - dialog.rc.width);
+            expect(outside.instance().rc.left).toBe(1);
+        });
+
+        it('maximizes the dialogs to the size of the container', () => {
+            inside.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+
+            expect(inside.instance().state).toMatchObject({ left: 0, top: 0, width: 400, height: 300 });
+            inside.instance().handleTitlebarButtonClick(titlebarButtons.maximize);
+        });
+
+        it('uses the key combinations of its props', () => {
+            desktop.setProps({ closeHotkey: { key: 'w', altKey: true } });
+            expect(desktopWM.closeHotkey).toEqual({ key: 'w', altKey: true });
+            expect(desktopWM.switchHotkey).toEqual({ key: 'F6', altKey: true });
+
+            inside.find('[role="dialog"]').getDOMNode().focus();
+            desktopWM._onKeyDown({ key: 'w', altKey: true, preventDefault: () => {} });
+            expect(inside.instance().isOpen()).toBeFalsy();
+        });
+
+        it('handles the keyboard only while the focus is inside the container', () => {
+            const altF4 = { key: 'F4', altKey: true, preventDefault: () => {} };
+
+            outside.find('[role="dialog"]').getDOMNode().focus();
+            desktopWM._onKeyDown(altF4);
+            expect(inside.instance().isOpen()).toBeTruthy();
+
+            inside.find('[role="dialog"]').getDOMNode().focus();
+            desktopWM._onKeyDown(altF4);
+            expect(inside.instance().isOpen()).toBeFalsy();
+        });
+    });
+
+    describe('MDI client', () => {
+        let mdi, first, second, mdiWM;
+
+        beforeEach(() => {
+            mdi = mount(
+                <Win32MdiClient>
+                    <Win32Dialog title='First' x={10} y={10} width={200} height={100}/>
+                    <Win32Dialog title='Second' x={20} y={20} width={200} height={100}/>
+                </Win32MdiClient>
+            );
+            [first, second] = mdi.find(Win32Dialog).map(node => node.instance());
+            mdiWM = mdi.instance().manager;
+
+            const client = mdi.instance().clientRef.current;
+
+            Object.defineProperty(client, 'clientWidth', { value: 400 });
+            Object.defineProperty(client, 'clientHeight', { value: 300 });
+        });
+
+        afterEach(() => {
+            mdi.unmount();
+        });
+
+        it('docks the minimized children along the bottom edge, and restores their position', () => {
+            first.handleTitlebarButtonClick(titlebarButtons.minimize);
+            second.handleTitlebarButtonClick(titlebarButtons.minimize);
+
+            expect(first.getGeometry()).toMatchObject({ x: 0, y: 300 - first.rc.height });
+            expect(second.getGeometry()).toMatchObject({ x: first.rc.width, y: 300 - second.rc.height });
+
+            first.handleTitlebarButtonClick(titlebarButtons.minimize);
+            expect(first.getGeometry()).toEqual({ x: 10, y: 10, width: 200, height: 100 });
+
+            mdi.instance().arrangeIcons();
+            expect(second.getGeometry()).toMatchObject({ x: 0, y: 300 - second.rc.height });
+        });
+
+        it('merges the titlebar buttons of a maximized child into the menu bar', () => {
+            expect(mdi.find('.react-win32dialog-mdi-menubar').length).toBe(0);
+
+            second.handleTitlebarButtonClick(titlebarButtons.maximize);
+            mdi.update();
+            expect(mdi.find('.react-win32dialog-outer-border-maximized').length).toBe(1);
+            expect(mdi.find('.react-win32dialog-mdi-menubar .react-win32dialog-titlebar-button').length).toBe(3);
+            expect(second.getGeometry()).toEqual({ x: 0, y: 0, width: 400, height: 300 });
+
+            mdi.find('.react-win32dialog-mdi-menubar .react-win32dialog-titlebar-button').at(1).simulate('click');
+            expect(second.isMaximized).toBeFalsy();
+            expect(mdi.update().find('.react-win32dialog-mdi-menubar').length).toBe(0);
+        });
+
+        it('cascades and tiles the children', () => {
+            mdi.instance().cascade();
+            expect(first.getGeometry()).toEqual({ x: 0, y: 0, width: 300, height: 225 });
+            expect(second.getGeometry()).toEqual({ x: 24, y: 24, width: 300, height: 225 });
+
+            mdi.instance().tileVertically();
+            expect(second.getGeometry()).toEqual({ x: 0, y: 0, width: 200, height: 300 });
+            expect(first.getGeometry()).toEqual({ x: 200, y: 0, width: 200, height: 300 });
+
+            mdi.instance().tileHorizontally();
+            expect(second.getGeometry()).toEqual({ x: 0, y: 0, width: 400, height: 150 });
+            expect(first.getGeometry()).toEqual({ x: 0, y: 150, width: 400, height: 150 });
+        });
+
+        it('closes the child with focus on Ctrl+F4', () => {
+            mdi.find('[role="dialog"]').at(1).getDOMNode().focus();
+            mdiWM._onKeyDown({ key: 'F4', ctrlKey: true, preventDefault: () => {} });
+
+            expect(second.isOpen()).toBeFalsy();
+            expect(first.isOpen()).toBeTruthy();
+        });
+
+        it('uses the key combinations of its props', () => {
+            mdi.setProps({
+                switchHotkey: { key: 'F6', altKey: true, shiftKey: true },
+                closeHotkey: { key: 'w', altKey: true }
+            });
+            expect(mdiWM.switchHotkey).toEqual({ key: 'F6', altKey: true, shiftKey: true });
+
+            mdi.find('[role="dialog"]').at(1).getDOMNode().focus();
+            mdiWM._onKeyDown({ key: 'F4', ctrlKey: true, preventDefault: () => {} });
+            expect(second.isOpen()).toBeTruthy();
+
+            mdiWM._onKeyDown({ key: 'W', altKey: true, preventDefault: () => {} });
+            expect(second.isOpen()).toBeFalsy();
+        });
+    });
+
+    describe('owned windows', () => {
+        const defaultEvent = {
+            clientX: 2,
+            clientY: 2,
+            button: 0,
+            preventDefault: () => {}
+        };
+        let owner, owned, other;
+
+        beforeEach(() => {
+            owner = mount(<Win32Dialog />);
+            owned = mount(<Win32Dialog owner={owner.instance()}/>);
+            other = mount(<Win32Dialog />);
+        });
+
+        afterEach(() => {
+            other.unmount();
+            owned.unmount();
+            owner.unmount();
+        });
+
+        it('brings the owned windows to the top together with their owner', () => {
+            owner.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            simulateWM['mousedown'](defaultEvent);
+            simulateWM['mouseup'](defaultEvent);
+            owner.find('.react-win32dialog-outer-border').simulate('mouseleave');
+
+            expect(other.state('zIndex')).toBe(0);
+            expect(owner.state('zIndex')).toBe(1);
+            expect(owned.state('zIndex')).toBe(2);
+            expect(owner.state('hasFocus')).toBeTruthy();
+            expect(owned.state('hasFocus')).toBeFalsy();
+            expect(other.state('hasFocus')).toBeFalsy();
+        });
+
+        it('accepts a ref as the owner', () => {
+            const ownerRef = React.createRef(),
+                  refOwned = mount(<Win32Dialog owner={ownerRef}/>);
+
+            expect(refOwned.instance().getOwner()).toBeNull();
+            ownerRef.current = owner.instance();
+            expect(refOwned.instance().getOwner() === owner.instance()).toBeTruthy();
+            refOwned.unmount();
+        });
+
+        it('hides the owned windows while their owner is minimized', () => {
+            owner.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            expect(owned.state('hiddenByOwner')).toBeTruthy();
+            expect(owned.update().find('.react-win32dialog-outer-border').getDOMNode().style.display).toBe('none');
+
+            owner.instance().handleTitlebarButtonClick(titlebarButtons.minimize);
+            expect(owned.state('hiddenByOwner')).toBeFalsy();
+        });
+
+        it('closes the owned windows when their owner closes', () => {
+            owner.instance().handleTitlebarButtonClick(titlebarButtons.close);
+            expect(owned.html()).toBeNull();
+            expect(wm.stack.length).toBe(1);
+        });
+
+        it('gives focus to the owner when an owned window with focus closes', () => {
+            owned.find('.react-win32dialog-outer-border').simulate('mouseenter');
+            simulateWM['mousedown'](defaultEvent);
+            simulateWM['mouseup'](defaultEvent);
+            owned.find('.react-win32dialog-outer-border').simulate('mouseleave');
+            expect(owned.state('hasFocus')).toBeTruthy();
+
+            owned.instance().handleTitlebarButtonClick(titlebarButtons.close);
+            expect(owner.state('hasFocus')).toBeTruthy();
+        });
+    });
+
     describe('single window', () => {
         beforeAll(() => {
             wrapper = mount(<Win32Dialog />);
@@ -721,8 +2620,8 @@ describe('WindowManager', () => {
             wrapper.unmount();
         });
 
-        it('zIndexTop property has value 1', () => {
-            expect(wm.zIndexTop).toBe(1);
+        it('stack has a single window', () => {
+            expect(wm.stack.length).toBe(1);
         });
     });
 
@@ -753,7 +2652,7 @@ describe('WindowManager', () => {
                 expect(winArr[i].state('zIndex')).toBe(i);
             }
 
-            expect(winArr[lastIdx].state('zIndex')).toBe(wm.zIndexTop - 1);
+            expect(winArr[lastIdx].state('zIndex')).toBe(wm.stack.length - 1);
         });
         
         describe('unregister a single window', () => {
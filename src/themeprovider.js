@@ -0,0 +1,67 @@
+/**
+ * @module themeprovider
+ */
+'use strict';
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { themePropType, resolveTheme } from './themes';
+import { ThemeContext } from './context';
+
+/**
+ * A React component that sets the theme of every Win32Dialog, Win32Taskbar
+ * and Win32MdiClient inside it. Dialogs with a theme prop keep their
+ * own theme.
+ * @public
+ */
+export default class Win32ThemeProvider extends React.Component {
+    static propTypes = {
+        /**
+         * The name of a built-in theme ('classic', 'luna' or 'win7basic'),
+         * or a theme object.
+         * @see {module:themes/Theme}
+         */
+        theme: themePropType.isRequired,
+        /**
+         * The elements that get the theme.
+         */
+        children: PropTypes.node,
+    };
+
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            /**
+             * The theme prop that the theme was resolved from.
+             */
+            themeProp: props.theme,
+            /**
+             * The resolved theme. It's only resolved again when the theme
+             * prop changes, so that the themed elements aren't rendered
+             * again every time the provider is.
+             * @see {module:themes/resolveTheme}
+             */
+            theme: resolveTheme(props.theme)
+        };
+    }
+
+    static getDerivedStateFromProps(props, state) {
+        if (props.theme === state.themeProp) {
+            return null;
+        }
+
+        return {
+            themeProp: props.theme,
+            theme: resolveTheme(props.theme)
+        };
+    }
+
+    render() {
+        return (
+            <ThemeContext.Provider value={this.state.theme}>
+                {this.props.children}
+            </ThemeContext.Provider>
+        );
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * @module themes
+ */
+'use strict';
+
+import PropTypes from 'prop-types';
+
+import defaultCloseIcon from './assets/default-close-icon.png';
+import defaultMinimizeIcon from './assets/default-minimize-icon.png';
+import defaultMaximizeIcon from './assets/default-maximize-icon.png';
+import defaultRestoreIcon from './assets/default-restore-icon.png';
+
+/**
+ * @typedef {Object} ThemeIcons
+ * @property {string} minimize
+ * @property {string} maximize
+ * @property {string} restore
+ * @property {string} close
+ * @property {string} help
+ * @public
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} name The themed elements get the class name
+ * react-win32dialog-theme-<name>, for styles that can't be expressed
+ * with the variables.
+ * @property {Object} variables Values for the CSS custom properties of the
+ * stylesheet, like { '--react-win32dialog-face': '#ece9d8' }. The properties
+ * that a theme doesn't define keep the values of the classic theme.
+ * @property {ThemeIcons} icons The images of the titlebar buttons. The
+ * buttons that a theme doesn't define use the images of the classic theme.
+ * @public
+ */
+
+/**
+ * Returns an SVG data URI with a 13x13 titlebar button glyph.
+ * @param {string} shapes The SVG elements that draw the glyph.
+ * @param {string} color
+ * @private
+ */
+const glyph = (shapes, color) => (
+    'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 13 13" ' +
+        `fill="none" stroke="${color}">${shapes}</svg>`
+    )
+);
+
+/**
+ * The glyphs of the titlebar buttons of the themes that draw them as SVG.
+ * @private
+ */
+const glyphShapes = {
+    minimize: '<path d="M3 10h6" stroke-width="2"/>',
+    maximize: '<rect x="2.5" y="2.5" width="8" height="8"/><path d="M2 3.5h9" stroke-width="2"/>',
+    restore: '<path d="M4.5 5V1.5h7v6H9"/><path d="M4 2.5h8" stroke-width="2"/>' +
+             '<rect x="1.5" y="5.5" width="7" height="6"/><path d="M1 6.5h8" stroke-width="2"/>',
+    close: '<path d="M3 3l7 7M10 3l-7 7" stroke-width="2"/>',
+    help: '<path d="M4 4.5C4 3 5 2 6.5 2S9 3 9 4.5 6.5 6 6.5 8" stroke-width="2"/>' +
+          '<path d="M6.5 9.5v2" stroke-width="2"/>',
+};
+
+/**
+ * The look of Windows 98 and 2000. Its variables are the defaults of the
+ * stylesheet, so that dialogs look the same without a theme.
+ * @public
+ */
+const classic = Object.freeze({
+    name: 'classic',
+    variables: {},
+    icons: {
+        minimize: defaultMinimizeIcon,
+        maximize: defaultMaximizeIcon,
+        restore: defaultRestoreIcon,
+        close: defaultCloseIcon,
+        help: glyph(glyphShapes.help, 'black'),
+    },
+});
+
+/**
+ * The blue Luna look of Windows XP.
+ * @public
+ */
+const luna = Object.freeze({
+    name: 'luna',
+    variables: {
+        '--react-win32dialog-face': '#ece9d8',
+        '--react-win32dialog-highlight': '#316ac5',
+        '--react-win32dialog-border-style': 'solid',
+        '--react-win32dialog-border-color': '#7a96df',
+        '--react-win32dialog-border-color-active': '#0831d9',
+        '--react-win32dialog-border-radius': '8px 8px 0 0',
+        '--react-win32dialog-fixed-border-width': '1px',
+        '--react-win32dialog-fixed-border-style': 'solid',
+        '--react-win32dialog-titlebar': 'linear-gradient(to bottom, #9db9eb, #7a96df 8%, #7b99e1 56%, #abbae3)',
+        '--react-win32dialog-titlebar-active': 'linear-gradient(to bottom, #0997ff, #0053ee 8%, #0050ee 40%, ' +
+                                               '#06f 88%, #005bff 95%, #003dd7)',
+        '--react-win32dialog-titlebar-text': '#d8e4f8',
+        '--react-win32dialog-titlebar-text-shadow': '1px 1px #0f1089',
+        '--react-win32dialog-titlebar-border': '0',
+        '--react-win32dialog-titlebar-height': '25px',
+        '--react-win32dialog-titlebar-font': 'bold 13px "Trebuchet MS", Tahoma, Arial',
+        '--react-win32dialog-button-width': '19px',
+        '--react-win32dialog-button-height': '19px',
+        '--react-win32dialog-button-spacing': '2px',
+        '--react-win32dialog-button-face': 'linear-gradient(to bottom right, #6d93ff, #2358e8 60%, #1941d6)',
+        '--react-win32dialog-close-button-face': 'linear-gradient(to bottom right, #e97b5c, #d5461f 60%, #c13a18)',
+        '--react-win32dialog-button-border': '1px solid white',
+        '--react-win32dialog-button-pressed-style': 'solid',
+        '--react-win32dialog-button-pressed-filter': 'brightness(0.8)',
+        '--react-win32dialog-button-radius': '3px',
+        '--react-win32dialog-button-align': 'center',
+        '--react-win32dialog-button-pressed-offset': '0',
+        '--react-win32dialog-button-icon-height': '13px',
+        '--react-win32dialog-tool-titlebar-height': '19px',
+        '--react-win32dialog-tool-titlebar-font': 'bold 11px "Trebuchet MS", Tahoma, Arial',
+        '--react-win32dialog-tool-button-width': '15px',
+        '--react-win32dialog-tool-button-height': '15px',
+        '--react-win32dialog-tool-button-icon-width': '11px',
+        '--react-win32dialog-tool-button-icon-height': '11px',
+    },
+    icons: {
+        minimize: glyph(glyphShapes.minimize, 'white'),
+        maximize: glyph(glyphShapes.maximize, 'white'),
+        restore: glyph(glyphShapes.restore, 'white'),
+        close: glyph(glyphShapes.close, 'white'),
+        help: glyph(glyphShapes.help, 'white'),
+    },
+});
+
+/**
+ * The look of Windows 7, with the Windows 7 Basic color scheme.
+ * @public
+ */
+const win7basic = Object.freeze({
+    name: 'win7basic',
+    variables: {
+        '--react-win32dialog-face': '#f0f0f0',
+        '--react-win32dialog-highlight': '#3399ff',
+        '--react-win32dialog-font': '12px "Segoe UI", Tahoma, Arial',
+        '--react-win32dialog-font-family': '"Segoe UI", Tahoma, Arial',
+        '--react-win32dialog-border-style': 'solid',
+        '--react-win32dialog-border-color': '#c4d3e6',
+        '--react-win32dialog-border-color-active': '#a9c3e3',
+        '--react-win32dialog-border-radius': '6px 6px 0 0',
+        '--react-win32dialog-fixed-border-width': '1px',
+        '--react-win32dialog-fixed-border-style': 'solid',
+        '--react-win32dialog-titlebar': 'linear-gradient(to bottom, #e9eff7, #d7e4f2)',
+        '--react-win32dialog-titlebar-active': 'linear-gradient(to bottom, #dfeaf7, #bed3ea)',
+        '--react-win32dialog-titlebar-text': '#6d6d6d',
+        '--react-win32dialog-titlebar-text-active': 'black',
+        '--react-win32dialog-titlebar-border': '0',
+        '--react-win32dialog-titlebar-height': '22px',
+        '--react-win32dialog-titlebar-font': '12px "Segoe UI", Tahoma, Arial',
+        '--react-win32dialog-button-width': '24px',
+        '--react-win32dialog-close-button-width': '41px',
+        '--react-win32dialog-button-height': '16px',
+        '--react-win32dialog-button-face': 'linear-gradient(to bottom, #f2f6fb, #d4e0ef 45%, #c2d3ea 50%, #d7e3f2)',
+        '--react-win32dialog-close-button-face': 'linear-gradient(to bottom, #e8a493, #d57259 45%, ' +
+                                                 '#c9452c 50%, #d5866f)',
+        '--react-win32dialog-button-border': '1px solid #6d83a5',
+        '--react-win32dialog-button-pressed-style': 'solid',
+        '--react-win32dialog-button-pressed-filter': 'brightness(0.85)',
+        '--react-win32dialog-button-radius': '3px',
+        '--react-win32dialog-button-align': 'center',
+        '--react-win32dialog-button-pressed-offset': '0',
+        '--react-win32dialog-button-icon-height': '13px',
+        '--react-win32dialog-tool-titlebar-height': '18px',
+        '--react-win32dialog-tool-titlebar-font': '11px "Segoe UI", Tahoma, Arial',
+        '--react-win32dialog-tool-button-width': '28px',
+        '--react-win32dialog-tool-button-height': '14px',
+        '--react-win32dialog-tool-button-icon-width': '11px',
+        '--react-win32dialog-tool-button-icon-height': '11px',
+    },
+    icons: {
+        minimize: glyph(glyphShapes.minimize, '#203959'),
+        maximize: glyph(glyphShapes.maximize, '#203959'),
+        restore: glyph(glyphShapes.restore, '#203959'),
+        close: glyph(glyphShapes.close, 'white'),
+        help: glyph(glyphShapes.help, '#203959'),
+    },
+});
+
+/**
+ * The themes that ship with the library, by name.
+ * @public
+ */
+const themes = Object.freeze({
+    classic,
+    luna,
+    win7basic,
+});
+
+/**
+ * Prop type of the theme props. A theme is either the name of one of
+ * the built-in themes, or a Theme object.
+ * @package
+ */
+const themePropType = PropTypes.oneOfType([
+    PropTypes.oneOf(Object.keys(themes)),
+    PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        variables: PropTypes.object,
+        icons: PropTypes.object,
+    }),
+]);
+
+/**
+ * Returns the Theme object of a theme prop value, with the images that it
+ * doesn't define taken from the classic theme. It returns the classic
+ * theme if the value is undefined, or isn't the name of a built-in theme.
+ * @param {string|Theme} theme
+ * @returns {Theme}
+ * @package
+ */
+const resolveTheme = (theme) => {
+    if (!theme || typeof theme === 'string') {
+        return themes[theme] || classic;
+    }
+
+    return {
+        name: theme.name,
+        variables: theme.variables || {},
+        icons: { ...classic.icons, ...theme.icons },
+    };
+};
+
+/**
+ * Returns the class name and the inline style that apply a theme to
+ * an element.
+ * @param {Theme} theme A theme that was returned by resolveTheme, or
+ * undefined for the classic theme.
+ * @param {Object} style Inline style of the element, that is merged
+ * with the theme's variables.
+ * @returns {{className: string, style: Object}}
+ * @package
+ */
+const getThemeProps = (theme = classic, style) => ({
+    className: 'react-win32dialog-theme-' + theme.name,
+    style: { ...theme.variables, ...style },
+});
+
+export {
+    themes,
+    themePropType,
+    resolveTheme,
+    getThemeProps,
+};
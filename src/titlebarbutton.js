@@ -4,30 +4,63 @@
 'use strict';
 
 import React from 'react';
+import { hoverHandlers } from './globals';
 
 /**
- * Object that enumerates all titlebar buttons.
+ * Object that enumerates all titlebar buttons. The buttons that
+ * applications add to the titlebar are custom.
  * @package
  */
 const titlebarButtons = {
     minimize: 0,
     maximize: 1,
     close: 2,
+    help: 3,
+    custom: 4,
 };
 
+/**
+ * The names of the standard titlebar buttons, that the titlebarButtons
+ * prop of the dialogs accepts.
+ * @package
+ */
+const titlebarButtonNames = ['minimize', 'maximize', 'close', 'help'];
+
+/**
+ * @typedef {Object} TitlebarButtonItem
+ * @property {number} type Value from the titlebarButtons object.
+ * @property {string} icon
+ * @property {string} tooltip
+ * @property {boolean} disabled
+ * @property {Function} onClick The handler of custom buttons.
+ * @package
+ */
+
 /**
  * Represents a titlebar button as a React component.
+ * If props.isClose is true, the button is styled as a close button,
+ * which some themes draw wider or with a different color.
+ * If props.disabled is true, the button is greyed and props.onClick
+ * isn't called.
  * @package
  */
 const TitlebarButton = (props) => {
-    const buttonClasses = (props.toggled) ?
-        'react-win32dialog-titlebar-button react-win32dialog-titlebar-button-active' :
-        'react-win32dialog-titlebar-button';
+    let buttonClasses = 'react-win32dialog-titlebar-button';
+
+    if (props.isClose) {
+        buttonClasses += ' react-win32dialog-titlebar-button-close';
+    }
+
+    if (props.disabled) {
+        buttonClasses += ' react-win32dialog-titlebar-button-disabled';
+    } else if (props.toggled) {
+        buttonClasses += ' react-win32dialog-titlebar-button-active';
+    }
 
     return (
         <div
-            onMouseEnter={props.onEnter}
-            onMouseLeave={props.onLeave}
+            {...hoverHandlers(props.onEnter, props.onLeave)}
+            onClick={(props.disabled) ? undefined : props.onClick}
             className={buttonClasses}
         >
             <img
@@ -43,5 +76,6 @@ const TitlebarButton = (props) => {
 
 export {
     titlebarButtons,
+    titlebarButtonNames,
     TitlebarButton,
 };